@@ -8,6 +8,8 @@
  * const auth = new ShopifyAuthClient('https://your-worker.workers.dev');
  * await auth.authenticate('store.myshopify.com');
  * const products = await auth.api('/products.json');
+ * const { data } = await auth.graphql('{ shop { name } }');
+ * const orders = await auth.api('/orders.json', { shop: 'other-store.myshopify.com' });
  */
 
 class ShopifyAuthClient {
@@ -20,24 +22,25 @@ class ShopifyAuthClient {
     this.workerUrl = workerUrl.replace(/\/$/, ''); // Remove trailing slash
     this.options = {
       debug: false,
-      authMethod: 'tab', // 'tab' or 'popup'
+      authMethod: 'tab', // 'tab', 'popup' or 'identity' (needs the identity permission)
       storagePrefix: 'shopify_auth_',
       tokenTTL: 86400000 * 30, // 30 days in milliseconds
       retryAttempts: 3,
       retryDelay: 1000,
+      keyPolicy: null, // e.g. 'read_only' or { methods: ['GET'], paths: ['/products*'] }
+      accessMode: 'offline', // 'online' binds the key to the staff member who approves it
       ...options
     };
     
-    this.shop = null;
-    this.token = null;
-    this.tokenExpiry = null;
-    this.authInProgress = false;
+    this.shop = null; // Active shop, used when a call doesn't name one
+    this.credentials = new Map(); // shop -> { token, tokenExpiry }
+    this.authPromises = new Map(); // shop -> { promise, options } of the in-flight authentication
     
     // Detect browser type for API compatibility
     this.browser = this._detectBrowser();
     
     // Initialize by loading stored credentials
-    this._loadStoredCredentials();
+    this.ready = this._loadStoredCredentials();
   }
   
   /**
@@ -62,54 +65,100 @@ class ShopifyAuthClient {
   }
   
   /**
-   * Load stored credentials from browser storage
+   * Storage key holding one shop's credentials
+   */
+  _credentialsKey(shop) {
+    return `${this.options.storagePrefix}credentials:${shop}`;
+  }
+  
+  /**
+   * Storage key remembering the active shop
+   */
+  _activeShopKey() {
+    return `${this.options.storagePrefix}active_shop`;
+  }
+  
+  /**
+   * Load stored credentials of every shop from browser storage
    */
   async _loadStoredCredentials() {
     try {
-      const storageKey = `${this.options.storagePrefix}credentials`;
-      const result = await this.browser.storage.local.get(storageKey);
+      const prefix = this._credentialsKey('');
+      const legacyKey = `${this.options.storagePrefix}credentials`;
+      const stored = await this.browser.storage.local.get(null);
       
-      if (result[storageKey]) {
-        const credentials = result[storageKey];
-        const now = Date.now();
+      // Credentials from before per-shop storage move to their shop's key
+      const legacy = stored[legacyKey];
+      if (legacy && legacy.shop) {
+        stored[this._credentialsKey(legacy.shop)] = legacy;
+        stored[this._activeShopKey()] = stored[this._activeShopKey()] || legacy.shop;
+        await this.browser.storage.local.set({
+          [this._credentialsKey(legacy.shop)]: legacy,
+          [this._activeShopKey()]: stored[this._activeShopKey()]
+        });
+        await this.browser.storage.local.remove(legacyKey);
+      }
+      
+      const now = Date.now();
+      const expiredKeys = [];
+      
+      for (const [key, credentials] of Object.entries(stored)) {
+        if (!key.startsWith(prefix) || !credentials) continue;
         
-        // Check if token is still valid
+        // Check if token is still valid; authentications finished meanwhile win
         if (credentials.tokenExpiry && credentials.tokenExpiry > now) {
-          this.shop = credentials.shop;
-          this.token = credentials.token;
-          this.tokenExpiry = credentials.tokenExpiry;
-          this._debug('Loaded valid credentials for', this.shop);
+          if (!this.credentials.has(credentials.shop)) {
+            this.credentials.set(credentials.shop, {
+              token: credentials.token,
+              tokenExpiry: credentials.tokenExpiry
+            });
+          }
         } else {
-          // Token expired, clear it
-          await this._clearStoredCredentials();
-          this._debug('Cleared expired credentials');
+          expiredKeys.push(key);
         }
       }
+      
+      if (expiredKeys.length > 0) {
+        await this.browser.storage.local.remove(expiredKeys);
+        this._debug('Cleared expired credentials of', expiredKeys.length, 'shops');
+      }
+      
+      const activeShop = stored[this._activeShopKey()];
+      if (!this.shop && activeShop && this.credentials.has(activeShop)) {
+        this.shop = activeShop;
+      }
+      
+      this._debug('Loaded valid credentials for', [...this.credentials.keys()]);
     } catch (error) {
       this._debug('Error loading stored credentials:', error);
     }
   }
   
   /**
-   * Store credentials in browser storage
+   * Store a shop's credentials in browser storage
+   * @param {boolean} activate - Also make the shop the active one
    */
-  async _storeCredentials(shop, token) {
+  async _storeCredentials(shop, token, { activate = true } = {}) {
     try {
-      const storageKey = `${this.options.storagePrefix}credentials`;
       const tokenExpiry = Date.now() + this.options.tokenTTL;
-      
-      await this.browser.storage.local.set({
-        [storageKey]: {
+      const items = {
+        [this._credentialsKey(shop)]: {
           shop,
           token,
           tokenExpiry,
           storedAt: new Date().toISOString()
         }
-      });
+      };
+      if (activate) {
+        items[this._activeShopKey()] = shop;
+      }
       
-      this.shop = shop;
-      this.token = token;
-      this.tokenExpiry = tokenExpiry;
+      await this.browser.storage.local.set(items);
+      
+      this.credentials.set(shop, { token, tokenExpiry });
+      if (activate) {
+        this.shop = shop;
+      }
       
       this._debug('Stored credentials for', shop);
     } catch (error) {
@@ -119,110 +168,266 @@ class ShopifyAuthClient {
   }
   
   /**
-   * Clear stored credentials
+   * Clear a shop's stored credentials
    */
-  async _clearStoredCredentials() {
+  async _clearStoredCredentials(shop) {
     try {
-      const storageKey = `${this.options.storagePrefix}credentials`;
-      await this.browser.storage.local.remove(storageKey);
+      const keys = [this._credentialsKey(shop)];
+      if (shop === this.shop) {
+        keys.push(this._activeShopKey());
+      }
+      await this.browser.storage.local.remove(keys);
       
-      this.shop = null;
-      this.token = null;
-      this.tokenExpiry = null;
+      this.credentials.delete(shop);
+      if (shop === this.shop) {
+        this.shop = null;
+      }
       
-      this._debug('Cleared stored credentials');
+      this._debug('Cleared stored credentials for', shop);
     } catch (error) {
       this._debug('Error clearing credentials:', error);
     }
   }
   
+  /**
+   * Unexpired credentials of a shop, or null
+   */
+  _getCredentials(shop) {
+    const credentials = shop ? this.credentials.get(shop) : null;
+    return credentials && credentials.tokenExpiry > Date.now() ? credentials : null;
+  }
+  
+  /**
+   * API key of a shop (the active one by default), throwing when there is none
+   */
+  _requireToken(shop = this.shop) {
+    const credentials = this._getCredentials(shop);
+    if (!credentials) {
+      throw new Error('Not authenticated. Call authenticate() first.');
+    }
+    return credentials.token;
+  }
+  
   /**
    * Authenticate with a Shopify store
+   * 
+   * The worker only issues an API key once the merchant approves this extension
+   * from an authenticated Shopify admin session, so a fresh authentication always
+   * opens the OAuth handshake in a tab or popup. Different shops can authenticate
+   * at the same time. A second call for a shop already authenticating joins it
+   * when it asks for the same policy and access mode, and is rejected otherwise.
    * @param {string} shop - The shop domain (e.g., 'store.myshopify.com')
+   * @param {Object} options - Authentication options
+   * @param {string|Object} options.policy - Restrict the issued key, e.g. 'read_only'
+   *   or { methods: ['GET'], paths: ['/products*'] } (defaults to options.keyPolicy)
+   * @param {string} options.accessMode - 'online' to act as the approving staff member
+   *   with their permissions (defaults to options.accessMode)
+   * @param {boolean} options.activate - Make the shop the active one (default true)
    * @returns {Promise<Object>} Authentication result
    */
-  async authenticate(shop) {
+  async authenticate(shop, options = {}) {
+    const {
+      policy = this.options.keyPolicy,
+      accessMode = this.options.accessMode,
+      activate = true
+    } = options;
+    
     // Validate shop domain
     if (!shop || !shop.match(/^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/)) {
       throw new Error('Invalid shop domain. Must be in format: store.myshopify.com');
     }
     
+    await this.ready;
+    
     // Check if already authenticated for this shop
-    if (this.shop === shop && this.token && this.tokenExpiry > Date.now()) {
+    const credentials = this._getCredentials(shop);
+    if (credentials) {
       this._debug('Already authenticated for', shop);
+      if (activate) {
+        await this.switchShop(shop);
+      }
       return {
         success: true,
-        shop: this.shop,
-        token: this.token,
+        shop,
+        token: credentials.token,
         cached: true
       };
     }
     
-    // Prevent concurrent authentication attempts
-    if (this.authInProgress) {
-      throw new Error('Authentication already in progress');
+    // Join an authentication already running for this shop, if it asks for the same key
+    const requested = JSON.stringify({ policy: policy || null, accessMode });
+    const running = this.authPromises.get(shop);
+    if (running) {
+      if (running.options !== requested) {
+        throw new Error(`An authentication with different options is already running for ${shop}`);
+      }
+      
+      const result = await running.promise;
+      if (activate) {
+        await this.switchShop(shop);
+      }
+      return result;
     }
     
-    this.authInProgress = true;
+    const promise = this._runAuthentication(shop, policy, accessMode, activate)
+      .finally(() => this.authPromises.delete(shop));
+    this.authPromises.set(shop, { promise, options: requested });
+    return promise;
+  }
+  
+  /**
+   * Run the grant handshake for a shop and store the issued API key
+   */
+  async _runAuthentication(shop, policy, accessMode, activate) {
+    // Start the handshake with a one-time code challenge
+    const codeVerifier = this._generateCodeVerifier();
+    const codeChallenge = await this._computeCodeChallenge(codeVerifier);
+    const grant = await this._requestGrant(shop, codeChallenge, policy, accessMode);
     
-    try {
-      // Request API key from worker
-      const authResponse = await this._requestApiKey(shop);
-      
-      if (authResponse.api_key) {
-        // Store the credentials
-        await this._storeCredentials(shop, authResponse.api_key);
-        
-        return {
-          success: true,
-          shop: this.shop,
-          token: this.token,
-          cached: false
-        };
-      } else if (authResponse.error === 'App not installed') {
-        // App not installed, need to go through OAuth
-        return await this._performOAuthFlow(shop);
-      } else {
-        throw new Error(authResponse.error || 'Authentication failed');
-      }
-    } finally {
-      this.authInProgress = false;
+    if (!grant.grant_id || !grant.authorize_url) {
+      throw new Error(grant.error || 'Authentication failed');
+    }
+    
+    // Merchant approves the grant through Shopify OAuth, ending on the completion page
+    const completionCode = await this._performOAuthFlow(shop, grant.authorize_url);
+    
+    // Redeem the approved grant for an API key
+    const authResponse = await this._redeemGrant(shop, completionCode, codeVerifier);
+    if (!authResponse.api_key) {
+      throw new Error(authResponse.error || 'Failed to obtain API key after OAuth');
+    }
+    
+    await this._storeCredentials(shop, authResponse.api_key, { activate });
+    
+    return {
+      success: true,
+      shop,
+      token: authResponse.api_key,
+      policy: authResponse.policy,
+      accessMode: authResponse.access_mode,
+      userId: authResponse.user_id,
+      missingScopes: authResponse.missing_scopes || [],
+      cached: false
+    };
+  }
+  
+  /**
+   * List the shops with stored, unexpired credentials
+   * @returns {Promise<Array<Object>>} [{ shop, active, expiresAt }]
+   */
+  async listShops() {
+    await this.ready;
+    
+    return [...this.credentials.keys()]
+      .filter(shop => this._getCredentials(shop))
+      .map(shop => ({
+        shop,
+        active: shop === this.shop,
+        expiresAt: new Date(this.credentials.get(shop).tokenExpiry).toISOString()
+      }));
+  }
+  
+  /**
+   * Make an authenticated shop the active one, used by calls that don't name a shop
+   * @param {string} shop - A shop from listShops()
+   */
+  async switchShop(shop) {
+    await this.ready;
+    
+    if (!this._getCredentials(shop)) {
+      throw new Error(`Not authenticated for ${shop}. Call authenticate() first.`);
+    }
+    
+    if (this.shop !== shop) {
+      await this.browser.storage.local.set({ [this._activeShopKey()]: shop });
+      this.shop = shop;
+      this._debug('Switched to', shop);
     }
   }
   
   /**
-   * Request API key from worker
+   * Generate a random PKCE-style code verifier
+   */
+  _generateCodeVerifier() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return this._base64UrlEncode(bytes);
+  }
+  
+  /**
+   * Compute the code challenge (base64url SHA-256) for a verifier
+   */
+  async _computeCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return this._base64UrlEncode(new Uint8Array(digest));
+  }
+  
+  /**
+   * Base64url encode a byte array
    */
-  async _requestApiKey(shop) {
+  _base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+  
+  /**
+   * Ask the worker for a pending authorization grant
+   */
+  async _requestGrant(shop, codeChallenge, policy, accessMode) {
+    return this._postAuth({
+      shop,
+      code_challenge: codeChallenge,
+      policy: policy || undefined,
+      access_mode: accessMode || undefined,
+      return_to: 'extension',
+      extension_id: this.browser.runtime.id,
+      redirect_uri: this.options.authMethod === 'identity' ? this.browser.identity.getRedirectURL() : undefined
+    });
+  }
+  
+  /**
+   * Redeem an approved grant for an API key with the completion page's one-time code
+   */
+  async _redeemGrant(shop, completionCode, codeVerifier) {
+    return this._postAuth({ shop, code: completionCode, code_verifier: codeVerifier });
+  }
+  
+  /**
+   * POST to the worker's /api/auth endpoint
+   */
+  async _postAuth(payload) {
     try {
       const response = await fetch(`${this.workerUrl}/api/auth`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ shop })
+        body: JSON.stringify(payload)
       });
       
       const data = await response.json();
-      this._debug('API key request response:', data);
+      this._debug('Auth request response:', data);
       
       return data;
     } catch (error) {
-      this._debug('API key request error:', error);
+      this._debug('Auth request error:', error);
       throw new Error(`Failed to request API key: ${error.message}`);
     }
   }
   
   /**
-   * Perform OAuth flow for app installation
+   * Perform the OAuth handshake that approves the grant
+   * @returns {Promise<string>} The one-time code from the worker's completion page
    */
-  async _performOAuthFlow(shop) {
+  async _performOAuthFlow(shop, authUrl) {
     this._debug('Starting OAuth flow for', shop);
     
     return new Promise((resolve, reject) => {
-      const authUrl = `${this.workerUrl}/auth?shop=${encodeURIComponent(shop)}`;
-      
-      if (this.options.authMethod === 'popup') {
+      if (this.options.authMethod === 'identity') {
+        // Browser-managed auth window, no tabs permission needed
+        this._performIdentityOAuth(authUrl, shop, resolve, reject);
+      } else if (this.options.authMethod === 'popup') {
         // Popup-based OAuth (may be blocked by browsers)
         this._performPopupOAuth(authUrl, shop, resolve, reject);
       } else {
@@ -232,72 +437,117 @@ class ShopifyAuthClient {
     });
   }
   
+  /**
+   * Wait for the worker's completion page to hand over the one-time code. The page
+   * sends it by message when the extension is externally_connectable to the worker;
+   * otherwise it is read from the fragment of the page's URL.
+   * @param {string} shop - Shop the flow was started for
+   * @param {Function} isOAuthTab - (tabId, tab) => whether the tab belongs to the flow
+   * @param {Function} done - Called once with (error, code)
+   * @returns {Function} Ends the wait early with an error
+   */
+  _watchOAuthCompletion(shop, isOAuthTab, done) {
+    const completeUrl = `${this.workerUrl}/auth/complete`;
+    const runtimeEvents = this.browser.runtime.onMessageExternal;
+    let finished = false;
+    let timeout = null;
+    
+    const finish = (error, code) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      this.browser.tabs.onUpdated.removeListener(onUpdated);
+      if (runtimeEvents) runtimeEvents.removeListener(onMessage);
+      done(error, code);
+    };
+    
+    const accept = (completedShop, code) => {
+      if (completedShop !== shop || !code) {
+        finish(new Error('OAuth flow completed without a valid code'));
+        return;
+      }
+      finish(null, code);
+    };
+    
+    const onUpdated = (tabId, _, tab) => {
+      if (!tab.url || !isOAuthTab(tabId, tab)) return;
+      
+      if (tab.url.startsWith(completeUrl)) {
+        const params = new URLSearchParams(new URL(tab.url).hash.substring(1));
+        accept(params.get('shop'), params.get('code'));
+        return;
+      }
+      
+      // Check for explicit error pages
+      if (tab.url.includes('error=')) {
+        const error = new URL(tab.url).searchParams.get('error') || 'OAuth flow failed';
+        finish(new Error(error));
+      }
+    };
+    
+    const onMessage = (message, sender) => {
+      if (!message || message.type !== 'shopify_auth_complete') return;
+      if (!sender.url || !sender.url.startsWith(completeUrl)) return;
+      
+      // Other shops may be authenticating in their own tabs at the same time
+      if (!sender.tab || !isOAuthTab(sender.tab.id, sender.tab)) return;
+      accept(message.shop, message.code);
+    };
+    
+    this.browser.tabs.onUpdated.addListener(onUpdated);
+    if (runtimeEvents) runtimeEvents.addListener(onMessage);
+    
+    // Grants expire after 10 minutes, the code couldn't be redeemed after that
+    timeout = setTimeout(() => finish(new Error('OAuth flow timed out')), 600000);
+    
+    return finish;
+  }
+  
+  /**
+   * Perform OAuth with the identity API (chrome.identity, which Firefox also
+   * implements). The worker ends the flow on this extension's redirect URL,
+   * https://<extension-id>.chromiumapp.org/ in Chrome, which must be registered
+   * in the worker's EXTENSION_REDIRECT_ORIGINS.
+   */
+  _performIdentityOAuth(authUrl, shop, resolve, reject) {
+    this.browser.identity.launchWebAuthFlow({ url: authUrl, interactive: true }, (responseUrl) => {
+      const lastError = this.browser.runtime.lastError;
+      if (lastError || !responseUrl) {
+        reject(new Error((lastError && lastError.message) || 'OAuth flow was cancelled'));
+        return;
+      }
+      
+      const params = new URLSearchParams(new URL(responseUrl).hash.substring(1));
+      if (params.get('shop') !== shop || !params.get('code')) {
+        reject(new Error('OAuth flow completed without a valid code'));
+        return;
+      }
+      resolve(params.get('code'));
+    });
+  }
+  
   /**
    * Perform OAuth in a new tab
    */
   async _performTabOAuth(authUrl, shop, resolve, reject) {
-    // Create OAuth tab
     this.browser.tabs.create({ url: authUrl }, (tab) => {
       const tabId = tab.id;
-      let resolved = false;
+      let closed = false;
       
-      // Set up listener for tab updates
-      const listener = async (updatedTabId, _, updatedTab) => {
-        if (updatedTabId !== tabId || resolved) return;
-        
-        // Check if redirected back to app in Shopify admin
-        if (updatedTab.url && updatedTab.url.includes(`${shop}/admin/apps/`)) {
-          resolved = true;
-          
-          // Close the tab
-          this.browser.tabs.remove(tabId);
-          this.browser.tabs.onUpdated.removeListener(listener);
-          
-          // Wait a moment for the installation to complete
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // Try to get API key again
-          try {
-            const authResponse = await this._requestApiKey(shop);
-            
-            if (authResponse.api_key) {
-              await this._storeCredentials(shop, authResponse.api_key);
-              resolve({
-                success: true,
-                shop: this.shop,
-                token: this.token,
-                cached: false
-              });
-            } else {
-              reject(new Error('Failed to obtain API key after OAuth'));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        }
-        
-        // Check for explicit error pages
-        if (updatedTab.url && updatedTab.url.includes('error=')) {
-          resolved = true;
-          this.browser.tabs.remove(tabId);
-          this.browser.tabs.onUpdated.removeListener(listener);
-          
-          const urlParams = new URLSearchParams(new URL(updatedTab.url).search);
-          const error = urlParams.get('error') || 'OAuth flow failed';
-          reject(new Error(error));
-        }
+      const onRemoved = (removedTabId) => {
+        if (removedTabId !== tabId) return;
+        closed = true;
+        finish(new Error('OAuth tab was closed by user'));
       };
       
-      this.browser.tabs.onUpdated.addListener(listener);
+      const finish = this._watchOAuthCompletion(shop, updatedTabId => updatedTabId === tabId, (error, code) => {
+        this.browser.tabs.onRemoved.removeListener(onRemoved);
+        if (!closed) this.browser.tabs.remove(tabId);
+        if (error) reject(error);
+        else resolve(code);
+      });
       
-      // Set timeout for OAuth flow
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          this.browser.tabs.onUpdated.removeListener(listener);
-          reject(new Error('OAuth flow timed out'));
-        }
-      }, 120000); // 2 minutes timeout
+      this.browser.tabs.onRemoved.addListener(onRemoved);
     });
   }
   
@@ -313,100 +563,267 @@ class ShopifyAuthClient {
       height: 700
     }, (window) => {
       const windowId = window.id;
-      let resolved = false;
+      let closed = false;
       
-      const listener = async (updatedWindowId) => {
-        if (updatedWindowId !== windowId || resolved) return;
-        
-        // Check tabs in the window
-        this.browser.tabs.query({ windowId }, async (tabs) => {
-          const tab = tabs[0];
-          if (!tab) return;
-          
-          if (tab.url && tab.url.includes(`${shop}/admin/apps/`)) {
-            resolved = true;
-            this.browser.windows.remove(windowId);
-            
-            // Wait for installation to complete
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            try {
-              const authResponse = await this._requestApiKey(shop);
-              if (authResponse.api_key) {
-                await this._storeCredentials(shop, authResponse.api_key);
-                resolve({
-                  success: true,
-                  shop: this.shop,
-                  token: this.token,
-                  cached: false
-                });
-              } else {
-                reject(new Error('Failed to obtain API key after OAuth'));
-              }
-            } catch (error) {
-              reject(error);
-            }
-          }
-        });
+      const onRemoved = (closedWindowId) => {
+        if (closedWindowId !== windowId) return;
+        closed = true;
+        finish(new Error('OAuth window was closed by user'));
       };
       
-      this.browser.tabs.onUpdated.addListener(listener);
-      
-      // Cleanup on window close
-      this.browser.windows.onRemoved.addListener((closedWindowId) => {
-        if (closedWindowId === windowId && !resolved) {
-          resolved = true;
-          reject(new Error('OAuth window was closed by user'));
-        }
+      const finish = this._watchOAuthCompletion(shop, (_, tab) => tab.windowId === windowId, (error, code) => {
+        this.browser.windows.onRemoved.removeListener(onRemoved);
+        if (!closed) this.browser.windows.remove(windowId);
+        if (error) reject(error);
+        else resolve(code);
       });
+      
+      this.browser.windows.onRemoved.addListener(onRemoved);
     });
   }
   
   /**
    * Make an authenticated API call to Shopify
    * @param {string} endpoint - The API endpoint (e.g., '/products.json')
-   * @param {Object} options - Request options
+   * @param {Object} options - Request options ({ method, data, shop }); `shop` targets
+   *   an authenticated shop other than the active one
    * @returns {Promise<Object>} API response
    */
   async api(endpoint, options = {}) {
-    // Ensure authenticated
-    if (!this.token) {
-      if (!this.shop) {
-        throw new Error('Not authenticated. Call authenticate() first.');
+    const { method = 'GET', data = null } = options;
+    const response = await this._proxyRequest('/api/proxy', { endpoint, method, data }, options);
+    return response.data;
+  }
+  
+  /**
+   * Iterate over every item of a REST list endpoint, following cursor pagination
+   * @example
+   * for await (const product of auth.paginate('/products.json', { limit: 250 })) {
+   *   console.log(product.title);
+   * }
+   * @param {string} endpoint - The list endpoint (e.g., '/products.json?status=active')
+   * @param {Object} options - Request options (e.g., { limit })
+   * @returns {AsyncGenerator<Object>} Items of each page in order
+   */
+  async *paginate(endpoint, options = {}) {
+    const { limit } = options;
+    const requestOptions = { ...options, shop: options.shop || this.shop };
+    const [path, query = ''] = endpoint.split('?');
+    const params = new URLSearchParams(query);
+    if (limit) {
+      params.set('limit', limit);
+    }
+    
+    let nextEndpoint = params.toString() ? `${path}?${params}` : path;
+    
+    while (nextEndpoint) {
+      const { data, headers } = await this._proxyRequest(
+        '/api/proxy',
+        { endpoint: nextEndpoint, method: 'GET' },
+        requestOptions
+      );
+      
+      const items = Object.values(data || {}).find(Array.isArray) || [];
+      for (const item of items) {
+        yield item;
       }
-      await this.authenticate(this.shop);
+      
+      const pageInfo = headers.get('X-Page-Info-Next');
+      if (!pageInfo) {
+        break;
+      }
+      
+      // Shopify only accepts limit and fields alongside page_info
+      const nextParams = new URLSearchParams({ page_info: pageInfo });
+      for (const name of ['limit', 'fields']) {
+        if (params.has(name)) {
+          nextParams.set(name, params.get(name));
+        }
+      }
+      nextEndpoint = `${path}?${nextParams}`;
     }
+  }
+  
+  /**
+   * Run a query or mutation against the Shopify Admin GraphQL API
+   * 
+   * The full GraphQL response is returned, including `errors` and the query cost
+   * under `extensions.cost`.
+   * @param {string} query - The GraphQL document
+   * @param {Object} variables - Variables for the operation
+   * @param {Object} options - Request options (e.g., { operationName })
+   * @returns {Promise<Object>} GraphQL response ({ data, errors, extensions })
+   */
+  async graphql(query, variables = {}, options = {}) {
+    const { operationName } = options;
+    const response = await this._proxyRequest('/api/graphql', { query, variables, operationName }, options);
+    return response.data;
+  }
+  
+  /**
+   * Fetch the shop's queued webhook events (topics configured on the worker)
+   * @param {Object} options - { after: cursor from the previous call, topics: ['products/update'], limit, shop }
+   * @returns {Promise<Object>} { events, cursor, has_more }; pass cursor as `after` next time
+   */
+  async getEvents(options = {}) {
+    await this.ready;
+    const token = this._requireToken(options.shop || this.shop);
+    
+    const response = await fetch(this._eventsUrl(options), {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Events request failed: ${response.status}`);
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Subscribe to the shop's webhook events as they arrive
+   * @example
+   * const stop = auth.subscribe(event => console.log(event.topic, event.payload), {
+   *   topics: ['products/update']
+   * });
+   * @param {Function} onEvent - Called with each event ({ id, topic, payload, receivedAt })
+   * @param {Object} options - { after: cursor to resume from, topics, shop }
+   * @returns {Function} Stops the subscription
+   */
+  subscribe(onEvent, options = {}) {
+    const controller = new AbortController();
+    const state = { after: options.after || null };
+    
+    const run = async () => {
+      await this.ready;
+      
+      // Stay on the subscribed shop even if the active shop changes
+      const shop = options.shop || this.shop;
+      
+      while (!controller.signal.aborted) {
+        try {
+          await this._streamEvents(onEvent, { ...options, shop, after: state.after }, state, controller.signal);
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          if (error.status === 401) {
+            this._debug('Event subscription stopped, API key no longer valid');
+            return;
+          }
+          this._debug('Event stream failed, reconnecting:', error);
+          await new Promise(resolve => setTimeout(resolve, this.options.retryDelay));
+        }
+      }
+    };
     
-    const { method = 'GET', data = null, retry = true } = options;
+    run();
+    return () => controller.abort();
+  }
+  
+  /**
+   * Read one server-sent event stream from the worker until it ends,
+   * keeping the last seen event id in state.after
+   */
+  async _streamEvents(onEvent, options, state, signal) {
+    const credentials = this._getCredentials(options.shop);
+    if (!credentials) {
+      throw Object.assign(new Error('Not authenticated'), { status: 401 });
+    }
+    
+    const response = await fetch(this._eventsUrl({ ...options, stream: true }), {
+      headers: { 'Authorization': `Bearer ${credentials.token}` },
+      signal
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(`Event stream failed: ${response.status}`), { status: response.status });
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      
+      for (const frame of frames) {
+        const lines = frame.split('\n');
+        const data = lines
+          .filter(line => line.startsWith('data: '))
+          .map(line => line.substring(6))
+          .join('\n');
+        if (!data) continue;
+        
+        // The SSE id is the cursor to resume after this event
+        const id = lines.find(line => line.startsWith('id: '));
+        if (id) {
+          state.after = id.substring(4);
+        }
+        onEvent(JSON.parse(data));
+      }
+    }
+  }
+  
+  /**
+   * Build an /api/events URL
+   */
+  _eventsUrl({ after, topics, limit, stream } = {}) {
+    const params = new URLSearchParams();
+    if (after) params.set('after', after);
+    if (topics && topics.length) params.set('topics', topics.join(','));
+    if (limit) params.set('limit', limit);
+    if (stream) params.set('stream', '1');
+    return `${this.workerUrl}/api/events?${params}`;
+  }
+  
+  /**
+   * POST to a worker proxy endpoint with authentication, retries and rate limit handling
+   * @returns {Promise<Object>} { data, headers } of the successful response
+   */
+  async _proxyRequest(path, payload, options = {}) {
+    await this.ready;
+    
+    // Ensure authenticated, for the named shop or the active one
+    const shop = options.shop || this.shop;
+    if (!shop) {
+      throw new Error('Not authenticated. Call authenticate() first.');
+    }
+    if (!this._getCredentials(shop)) {
+      await this.authenticate(shop, { activate: shop === this.shop });
+    }
+    
+    const { retry = true } = options;
     let attempts = 0;
     
     while (attempts < this.options.retryAttempts) {
       attempts++;
       
       try {
-        const response = await fetch(`${this.workerUrl}/api/proxy`, {
+        const response = await fetch(`${this.workerUrl}${path}`, {
           method: 'POST',
           headers: {
-            'Authorization': `Bearer ${this.token}`,
+            'Authorization': `Bearer ${this._requireToken(shop)}`,
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({
-            endpoint,
-            method,
-            data
-          })
+          body: JSON.stringify(payload)
         });
         
-        const responseData = await response.json();
+        const responseData = await this._readResponseBody(response);
         
-        // Handle authentication errors
+        // Handle authentication errors (the API key or the staff member's online session;
+        // a revoked shop token is a 403)
         if (response.status === 401 && retry) {
-          this._debug('Token expired, re-authenticating...');
-          await this._clearStoredCredentials();
-          await this.authenticate(this.shop);
+          this._debug('Token expired, re-authenticating', shop);
+          const wasActive = shop === this.shop;
+          await this._clearStoredCredentials(shop);
+          await this.authenticate(shop, { activate: wasActive });
           
           // Retry the request with new token
-          return this.api(endpoint, { ...options, retry: false });
+          return this._proxyRequest(path, payload, { ...options, shop, retry: false });
         }
         
         // Handle rate limiting
@@ -417,17 +834,31 @@ class ShopifyAuthClient {
           continue;
         }
         
-        // Handle other errors
+        // Handle other errors. Errors with a code (e.g. 'shop_reauth_required' when
+        // the merchant has to reinstall from reinstallUrl, or 'missing_scopes' when
+        // they have to approve new permissions at reauthorizeUrl) won't succeed on retry,
+        // except 'token_refresh_failed' when Shopify's refresh endpoint was down.
         if (!response.ok) {
-          throw new Error(responseData.error || `API request failed: ${response.status}`);
+          const message = (responseData && responseData.error) || `API request failed: ${response.status}`;
+          const code = (responseData && responseData.code) || null;
+          throw Object.assign(new Error(message), {
+            status: response.status,
+            code,
+            reinstallUrl: (responseData && responseData.reinstall_url) || null,
+            reauthorizeUrl: (responseData && responseData.reauthorize_url) || null,
+            missingScopes: (responseData && responseData.missing_scopes) || null,
+            shopifyErrors: (responseData && responseData.shopify_errors) || null,
+            requestId: response.headers.get('X-Request-Id'),
+            retryable: !code || code === 'token_refresh_failed'
+          });
         }
         
-        return responseData;
+        return { data: responseData, headers: response.headers };
         
       } catch (error) {
         this._debug(`API request attempt ${attempts} failed:`, error);
         
-        if (attempts >= this.options.retryAttempts) {
+        if (error.retryable === false || attempts >= this.options.retryAttempts) {
           throw error;
         }
         
@@ -438,15 +869,36 @@ class ShopifyAuthClient {
   }
   
   /**
-   * Check if currently authenticated
+   * Read a proxy response body: parsed JSON, text, a Blob for binary content,
+   * or null when there is no body (e.g. 204 after a DELETE)
+   */
+  async _readResponseBody(response) {
+    if (response.status === 204 || response.headers.get('Content-Length') === '0') {
+      return null;
+    }
+    
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('json')) {
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    }
+    if (contentType.startsWith('text/')) {
+      return response.text();
+    }
+    return response.blob();
+  }
+  
+  /**
+   * Check if authenticated for a shop
+   * @param {string} shop - Shop domain (defaults to the active shop)
    * @returns {boolean} Authentication status
    */
-  isAuthenticated() {
-    return !!(this.token && this.tokenExpiry > Date.now());
+  isAuthenticated(shop = this.shop) {
+    return !!this._getCredentials(shop);
   }
   
   /**
-   * Get current shop domain
+   * Get the active shop domain
    * @returns {string|null} Shop domain or null if not authenticated
    */
   getShop() {
@@ -454,50 +906,106 @@ class ShopifyAuthClient {
   }
   
   /**
-   * Get current token (for advanced use cases)
-   * @returns {string|null} Current token or null
+   * Get a shop's token (for advanced use cases)
+   * @param {string} shop - Shop domain (defaults to the active shop)
+   * @returns {string|null} Token or null
    */
-  getToken() {
-    if (this.isAuthenticated()) {
-      return this.token;
+  getToken(shop = this.shop) {
+    const credentials = this._getCredentials(shop);
+    return credentials ? credentials.token : null;
+  }
+  
+  /**
+   * Logout of a shop, revoking its API key on the worker and clearing its stored credentials
+   * @param {string} shop - Shop domain (defaults to the active shop)
+   */
+  async logout(shop = this.shop) {
+    await this.ready;
+    if (!shop) return;
+    
+    if (this._getCredentials(shop)) {
+      try {
+        await this._keysRequest('/api/keys/revoke', {}, shop);
+      } catch (error) {
+        this._debug('Error revoking API key on logout:', error);
+      }
     }
-    return null;
+    
+    await this._clearStoredCredentials(shop);
+    this._debug('Logged out of', shop);
+  }
+  
+  /**
+   * Describe a shop's API key (id, created, last used and expiry times)
+   * @param {string} shop - Shop domain (defaults to the active shop)
+   * @returns {Promise<Object>} Key listing for the key
+   */
+  async listKeys(shop = this.shop) {
+    return this._keysRequest('/api/keys', null, shop);
+  }
+  
+  /**
+   * Rotate a shop's API key, replacing its stored credentials
+   * @param {string} shop - Shop domain (defaults to the active shop)
+   * @returns {Promise<Object>} Rotation result with the new key id
+   */
+  async rotateKey(shop = this.shop) {
+    const result = await this._keysRequest('/api/keys/rotate', {}, shop);
+    await this._storeCredentials(result.shop, result.api_key, { activate: false });
+    this._debug('Rotated API key for', result.shop);
+    return { success: true, shop: result.shop, keyId: result.key_id };
   }
   
   /**
-   * Logout and clear stored credentials
+   * Call a key management endpoint with a shop's API key
    */
-  async logout() {
-    await this._clearStoredCredentials();
-    this._debug('Logged out successfully');
+  async _keysRequest(path, body = null, shop = this.shop) {
+    await this.ready;
+    const token = this._requireToken(shop);
+    
+    const response = await fetch(`${this.workerUrl}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Key request failed: ${response.status}`);
+    }
+    
+    return data;
   }
   
   /**
    * Convenience method for GET requests
    */
-  async get(endpoint) {
-    return this.api(endpoint, { method: 'GET' });
+  async get(endpoint, options = {}) {
+    return this.api(endpoint, { ...options, method: 'GET' });
   }
   
   /**
    * Convenience method for POST requests
    */
-  async post(endpoint, data) {
-    return this.api(endpoint, { method: 'POST', data });
+  async post(endpoint, data, options = {}) {
+    return this.api(endpoint, { ...options, method: 'POST', data });
   }
   
   /**
    * Convenience method for PUT requests
    */
-  async put(endpoint, data) {
-    return this.api(endpoint, { method: 'PUT', data });
+  async put(endpoint, data, options = {}) {
+    return this.api(endpoint, { ...options, method: 'PUT', data });
   }
   
   /**
    * Convenience method for DELETE requests
    */
-  async delete(endpoint) {
-    return this.api(endpoint, { method: 'DELETE' });
+  async delete(endpoint, options = {}) {
+    return this.api(endpoint, { ...options, method: 'DELETE' });
   }
 }
 
@@ -0,0 +1,242 @@
+import { API_KEY_TTL_DAYS, API_KEY_LAST_USED_INTERVAL_SECONDS } from './constants.js';
+
+// Extension API Keys
+//
+// Key records in the API_KEYS namespace (`key:<uuid>`) only reference the shop.
+// The shop's access token is resolved from SHOPS at request time so rotating or
+// revoking it never leaves stale copies behind.
+//
+// Each key also has a public id and an entry in a per-shop index
+// (`shop-key:<shop>:<id>` -> api key) so a shop's keys can be listed and revoked
+// without ever exposing the key values themselves. Both entries share the same
+// expiration.
+
+const KEY_PREFIX = 'key:';
+const MIGRATION_BATCH_SIZE = 100;
+
+function apiKeyRecordKey(apiKey) {
+  return `${KEY_PREFIX}${apiKey}`;
+}
+
+const SHOP_INDEX_PREFIX = 'shop-key:';
+
+function shopIndexPrefix(shop) {
+  return `${SHOP_INDEX_PREFIX}${shop}:`;
+}
+
+function shopIndexKey(shop, keyId) {
+  return `${shopIndexPrefix(shop)}${keyId}`;
+}
+
+// Expiration (epoch seconds) for a key record
+function getKeyExpiration(record) {
+  if (record.expiresAt) {
+    return Math.floor(Date.parse(record.expiresAt) / 1000);
+  }
+  // Legacy records predate expiresAt, derive it from the issue time
+  return Math.floor(Date.parse(record.createdAt) / 1000) + 86400 * API_KEY_TTL_DAYS;
+}
+
+// Write a key record and its index entry
+async function putApiKeyRecord(apiKey, record, env) {
+  const expiration = getKeyExpiration(record);
+  await env.API_KEYS.put(apiKeyRecordKey(apiKey), JSON.stringify(record), { expiration });
+  await env.API_KEYS.put(shopIndexKey(record.shop, record.id), apiKey, { expiration });
+}
+
+// Check whether a record predates the current format
+function isLegacyRecord(record) {
+  return 'accessToken' in record || !record.id || !record.expiresAt;
+}
+
+// Rewrite a legacy record without its embedded access token, adding an id and index entry
+async function rewriteLegacyRecord(apiKey, record, env, expiration = getKeyExpiration(record)) {
+  // Already past its expiration, nothing worth keeping
+  if (expiration <= Math.floor(Date.now() / 1000) + 60) {
+    await env.API_KEYS.delete(apiKeyRecordKey(apiKey));
+    return null;
+  }
+  
+  const { accessToken, ...rest } = record;
+  const migrated = {
+    ...rest,
+    id: record.id || crypto.randomUUID(),
+    expiresAt: new Date(expiration * 1000).toISOString(),
+  };
+  
+  await putApiKeyRecord(apiKey, migrated, env);
+  return migrated;
+}
+
+// Format a key record for management responses (never includes the key itself)
+export function describeApiKey(record) {
+  return {
+    id: record.id,
+    policy: record.policy || null,
+    user_id: record.userId || null,
+    created_at: record.createdAt,
+    last_used_at: record.lastUsedAt || null,
+    expires_at: record.expiresAt,
+  };
+}
+
+// Issue API Key, optionally restricted by a key policy or bound to a staff member
+// (`userId`), whose online token it then uses
+export async function createApiKey(shop, env, { policy = null, userId = null } = {}) {
+  const apiKey = crypto.randomUUID();
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    shop,
+    policy,
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + 86400 * API_KEY_TTL_DAYS * 1000).toISOString(),
+  };
+  
+  await putApiKeyRecord(apiKey, record, env);
+  return { apiKey, keyId: record.id };
+}
+
+// Resolve API Key Record
+export async function getApiKey(apiKey, env) {
+  const record = await env.API_KEYS.get(apiKeyRecordKey(apiKey), 'json');
+  if (!record) return null;
+  
+  // Migrate legacy records on read
+  if (isLegacyRecord(record)) {
+    return await rewriteLegacyRecord(apiKey, record, env);
+  }
+  
+  return record;
+}
+
+// Record key usage, throttled to limit KV writes
+export async function touchApiKey(apiKey, record, env) {
+  const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+  if (Date.now() - lastUsed < API_KEY_LAST_USED_INTERVAL_SECONDS * 1000) {
+    return;
+  }
+  
+  await env.API_KEYS.put(
+    apiKeyRecordKey(apiKey),
+    JSON.stringify({ ...record, lastUsedAt: new Date().toISOString() }),
+    { expiration: getKeyExpiration(record) }
+  );
+}
+
+// List a Shop's Active Keys
+export async function listApiKeys(shop, env) {
+  const keys = [];
+  let cursor;
+  
+  do {
+    const page = await env.API_KEYS.list({ prefix: shopIndexPrefix(shop), cursor });
+    
+    for (const entry of page.keys) {
+      const apiKey = await env.API_KEYS.get(entry.name);
+      const record = apiKey && await env.API_KEYS.get(apiKeyRecordKey(apiKey), 'json');
+      
+      if (record) {
+        keys.push(describeApiKey(record));
+      } else {
+        // Index entry outlived its key record
+        await env.API_KEYS.delete(entry.name);
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return keys.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// Shops With Issued Keys, read from the per-shop index one page at a time
+// A shop whose keys span pages is listed again on the next page
+export async function listApiKeyShops(env, { cursor = null, limit = 1000 } = {}) {
+  const page = await env.API_KEYS.list({ prefix: SHOP_INDEX_PREFIX, cursor: cursor || undefined, limit });
+  const shops = new Set(
+    page.keys.map(entry => entry.name.substring(SHOP_INDEX_PREFIX.length, entry.name.lastIndexOf(':')))
+  );
+  
+  return {
+    shops: [...shops],
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
+
+// Revoke a Single Key by id
+export async function revokeApiKey(shop, keyId, env) {
+  const indexKey = shopIndexKey(shop, keyId);
+  const apiKey = await env.API_KEYS.get(indexKey);
+  if (!apiKey) {
+    return false;
+  }
+  
+  await env.API_KEYS.delete(apiKeyRecordKey(apiKey));
+  await env.API_KEYS.delete(indexKey);
+  return true;
+}
+
+// Revoke Every Key for a Shop
+export async function revokeAllApiKeys(shop, env) {
+  let revoked = 0;
+  let cursor;
+  
+  do {
+    const page = await env.API_KEYS.list({ prefix: shopIndexPrefix(shop), cursor });
+    
+    for (const entry of page.keys) {
+      const apiKey = await env.API_KEYS.get(entry.name);
+      if (apiKey) {
+        await env.API_KEYS.delete(apiKeyRecordKey(apiKey));
+        revoked++;
+      }
+      await env.API_KEYS.delete(entry.name);
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return revoked;
+}
+
+// Rotate a Key: issue a replacement with the same policy and user, and revoke the original
+export async function rotateApiKey(apiKey, record, env) {
+  const replacement = await createApiKey(record.shop, env, {
+    policy: record.policy || null,
+    userId: record.userId || null,
+  });
+  await env.API_KEYS.delete(apiKeyRecordKey(apiKey));
+  await env.API_KEYS.delete(shopIndexKey(record.shop, record.id));
+  return replacement;
+}
+
+// Migrate Legacy Key Records
+//
+// Processes one page of `key:` entries per call, returning a cursor to resume
+// from until `complete` is true.
+export async function migrateApiKeyRecords(env, cursor) {
+  const page = await env.API_KEYS.list({
+    prefix: KEY_PREFIX,
+    limit: MIGRATION_BATCH_SIZE,
+    cursor: cursor || undefined,
+  });
+  
+  let migrated = 0;
+  for (const key of page.keys) {
+    const record = await env.API_KEYS.get(key.name, 'json');
+    if (record && isLegacyRecord(record)) {
+      const apiKey = key.name.substring(KEY_PREFIX.length);
+      await rewriteLegacyRecord(apiKey, record, env, key.expiration || getKeyExpiration(record));
+      migrated++;
+    }
+  }
+  
+  return {
+    scanned: page.keys.length,
+    migrated,
+    cursor: page.list_complete ? null : page.cursor,
+    complete: page.list_complete,
+  };
+}
\ No newline at end of file
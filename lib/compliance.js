@@ -0,0 +1,187 @@
+import { COMPLIANCE_EXPORT_TTL_DAYS } from './constants.js';
+import { deleteByPrefix } from './utils.js';
+import { shopEventStore } from './events.js';
+
+// GDPR Compliance Requests
+//
+// Every compliance webhook is recorded in the COMPLIANCE namespace as
+// `request:<shop>:<id>` and tracked from `received` to `completed`, or `failed`
+// until Shopify redelivers it. The id is Shopify's webhook id when available, so
+// redeliveries update the same record. Records keep the verified payload, and
+// shop redaction removes the shop's earlier records along with their payloads.
+//
+// Customer data held by the gateway is reached through CUSTOMER_DATA_STORES.
+// Each store can redact a customer's data or a whole shop's, and may contribute
+// to data request exports. Exports are kept as `export:<shop>:<customerId>:<id>`
+// for the merchant to retrieve, and are purged again by customer redaction.
+
+export const COMPLIANCE_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
+function requestPrefix(shop) {
+  return `request:${shop}:`;
+}
+
+function requestKey(shop, requestId) {
+  return `${requestPrefix(shop)}${requestId}`;
+}
+
+function exportPrefix(shop, customerId) {
+  return customerId ? `export:${shop}:${customerId}:` : `export:${shop}:`;
+}
+
+function exportKey(shop, customerId, requestId) {
+  return `${exportPrefix(shop, customerId)}${requestId}`;
+}
+
+// Data request exports hold customer data themselves
+const complianceExportStore = {
+  name: 'compliance_exports',
+  redactCustomer: (shop, customerId, env) => deleteByPrefix(env.COMPLIANCE, exportPrefix(shop, customerId)),
+  redactShop: (shop, env) => deleteByPrefix(env.COMPLIANCE, exportPrefix(shop)),
+};
+
+// Earlier request records of a shop, redacted with the shop
+const complianceRequestStore = {
+  name: 'compliance_requests',
+  redactCustomer: async () => 0,
+  redactShop: (shop, env) => deleteByPrefix(env.COMPLIANCE, requestPrefix(shop)),
+};
+
+// Gateway stores that can hold customer data
+//
+// redactCustomer(shop, customerId, env) and redactShop(shop, env) resolve to the
+// number of entries removed; the optional exportCustomer(shop, customerId, env)
+// resolves to the data to include in a data request export.
+const CUSTOMER_DATA_STORES = [
+  complianceExportStore,
+  complianceRequestStore,
+  shopEventStore,
+];
+
+function getCustomerId(data) {
+  return data.customer && data.customer.id != null ? String(data.customer.id) : null;
+}
+
+// Write a request record, with its status as list metadata
+async function putComplianceRecord(record, env) {
+  await env.COMPLIANCE.put(requestKey(record.shop, record.id), JSON.stringify(record), {
+    metadata: {
+      topic: record.topic,
+      status: record.status,
+      customerId: record.customerId,
+      receivedAt: record.receivedAt,
+    },
+  });
+}
+
+// Build and store the export for a customers/data_request
+async function exportCustomerData(record, env) {
+  const { shop, customerId, payload } = record;
+  const data = {};
+  
+  for (const store of CUSTOMER_DATA_STORES) {
+    if (store.exportCustomer) {
+      data[store.name] = await store.exportCustomer(shop, customerId, env);
+    }
+  }
+  
+  const exported = {
+    request_id: record.id,
+    shop,
+    customer: payload.customer || null,
+    orders_requested: payload.orders_requested || [],
+    data,
+    generated_at: new Date().toISOString(),
+  };
+  
+  await env.COMPLIANCE.put(
+    exportKey(shop, customerId, record.id),
+    JSON.stringify(exported),
+    { expirationTtl: 86400 * COMPLIANCE_EXPORT_TTL_DAYS }
+  );
+  
+  return { exported_stores: Object.keys(data) };
+}
+
+// Redact a customer (customers/redact) or everything held for a shop (shop/redact)
+async function redactCustomerData(record, env) {
+  const { shop, customerId } = record;
+  const redacted = {};
+  
+  for (const store of CUSTOMER_DATA_STORES) {
+    if (record.topic === 'shop/redact') {
+      redacted[store.name] = await store.redactShop(shop, env);
+    } else if (customerId) {
+      redacted[store.name] = await store.redactCustomer(shop, customerId, env);
+    }
+  }
+  
+  return { redacted };
+}
+
+// Record and Process a Compliance Webhook
+//
+// Failures are recorded on the request and rethrown so the webhook responds
+// with an error and Shopify delivers it again, payload included.
+export async function processComplianceRequest(topic, data, webhookId, env) {
+  const shop = data.shop_domain;
+  const id = webhookId || crypto.randomUUID();
+  const existing = await getComplianceRequest(shop, id, env);
+  
+  const record = {
+    id,
+    topic,
+    shop,
+    customerId: topic === 'shop/redact' ? null : getCustomerId(data),
+    payload: data,
+    status: 'received',
+    attempts: existing ? existing.attempts + 1 : 1,
+    receivedAt: existing ? existing.receivedAt : new Date().toISOString(),
+  };
+  await putComplianceRecord(record, env);
+  
+  try {
+    const result = topic === 'customers/data_request'
+      ? await exportCustomerData(record, env)
+      : await redactCustomerData(record, env);
+    
+    Object.assign(record, { status: 'completed', result, completedAt: new Date().toISOString() });
+    await putComplianceRecord(record, env);
+    return record;
+  } catch (error) {
+    Object.assign(record, { status: 'failed', error: error.message });
+    await putComplianceRecord(record, env);
+    throw error;
+  }
+}
+
+// Load a Compliance Request
+export async function getComplianceRequest(shop, requestId, env) {
+  return await env.COMPLIANCE.get(requestKey(shop, requestId), 'json');
+}
+
+// List a Shop's Compliance Requests, one page at a time
+export async function listComplianceRequests(shop, env, cursor) {
+  const page = await env.COMPLIANCE.list({
+    prefix: requestPrefix(shop),
+    cursor: cursor || undefined,
+  });
+  
+  return {
+    requests: page.keys.map(key => ({
+      id: key.name.substring(requestPrefix(shop).length),
+      ...key.metadata,
+    })),
+    cursor: page.list_complete ? null : page.cursor,
+    complete: page.list_complete,
+  };
+}
+
+// Load the Export Produced for a Data Request
+export async function getComplianceExport(shop, requestId, env) {
+  const record = await getComplianceRequest(shop, requestId, env);
+  if (!record || record.topic !== 'customers/data_request') {
+    return null;
+  }
+  return await env.COMPLIANCE.get(exportKey(shop, record.customerId, requestId), 'json');
+}
\ No newline at end of file
@@ -1,7 +1,38 @@
 // Application Constants
 export const APP_NAME = 'Storefront OAuth Gateway';
 export const STATE_TTL_SECONDS = 600;
+export const OAUTH_CLOCK_SKEW_SECONDS = 60;
 export const API_KEY_TTL_DAYS = 90;
+export const GRANT_TTL_SECONDS = 600;
+export const API_KEY_LAST_USED_INTERVAL_SECONDS = 300;
+export const SESSION_TOKEN_LEEWAY_SECONDS = 10;
+export const TOKEN_REFRESH_MARGIN_SECONDS = 300;
+export const TOKEN_REFRESH_LOCK_SECONDS = 60;
+export const RATE_LIMIT_MAX_WAIT_MS = 10000;
+export const RATE_LIMIT_MAX_RETRIES = 2;
+export const GRAPHQL_MIN_AVAILABLE_POINTS = 100;
+export const MAX_PAGINATION_PAGES = 10;
+export const COMPLIANCE_EXPORT_TTL_DAYS = 30;
+export const UNINSTALL_RECORD_TTL_DAYS = 90;
+export const WEBHOOK_MAX_AGE_SECONDS = 21600;
+export const WEBHOOK_CLOCK_SKEW_SECONDS = 300;
+export const EVENT_TTL_SECONDS = 259200;
+export const EVENT_PAGE_SIZE = 50;
+export const EVENT_STREAM_DURATION_MS = 25000;
+export const EVENT_STREAM_POLL_MS = 2000;
+export const EVENT_CURSOR_GRACE_MS = 60000;
+export const MAINTENANCE_SHOPS_PER_RUN = 100;
+
+// Machine-readable error codes for API clients
+export const ERROR_CODES = {
+  MISSING_AUTH: 'missing_auth',
+  INVALID_API_KEY: 'invalid_api_key',
+  APP_NOT_INSTALLED: 'app_not_installed',
+  SHOP_REAUTH_REQUIRED: 'shop_reauth_required',
+  USER_SESSION_EXPIRED: 'user_session_expired',
+  MISSING_SCOPES: 'missing_scopes',
+  TOKEN_REFRESH_FAILED: 'token_refresh_failed',
+};
 
 // Error Messages
 export const ERROR_MESSAGES = {
@@ -10,15 +41,51 @@ export const ERROR_MESSAGES = {
   INVALID_HOST: 'Invalid host parameter',
   INVALID_HMAC: 'Invalid HMAC signature',
   INVALID_STATE: 'Invalid state parameter',
+  INVALID_STATE_COOKIE: 'This authorization was started in a different browser or has expired',
+  STALE_OAUTH_CALLBACK: 'This authorization request has expired',
+  OAUTH_ERROR_TITLE: 'Authorization Failed',
   INVALID_WEBHOOK: 'Invalid webhook signature',
+  INVALID_WEBHOOK_DELIVERY: 'Missing webhook id or trigger time',
+  STALE_WEBHOOK: 'Webhook delivery is too old or from the future',
+  UNKNOWN_WEBHOOK_TOPIC: 'Unknown webhook topic',
   APP_NOT_INSTALLED: 'App not installed',
+  SHOP_REAUTH_REQUIRED: 'Shopify no longer accepts this shop\'s access token, the app has to be reinstalled',
   MISSING_AUTH: 'Missing or invalid authorization',
   INVALID_API_KEY: 'Invalid API key',
+  API_KEY_NOT_FOUND: 'API key not found',
+  API_KEY_SELF_ONLY: 'Extension keys can only manage themselves',
+  SESSION_TOKEN_ROTATE: 'Keys can only be rotated by the extension holding them',
   MISSING_ENDPOINT: 'Missing endpoint parameter',
+  INVALID_ENDPOINT: 'Invalid endpoint parameter',
+  INVALID_PAGINATION: 'Pagination can only be followed for GET requests',
+  INVALID_EVENT_CURSOR: 'Invalid event cursor',
+  INVALID_GRAPHQL_REQUEST: 'A GraphQL query string is required; variables must be an object',
+  INVALID_KEY_POLICY: 'Invalid API key policy',
+  KEY_POLICY_VIOLATION: 'Request not allowed by API key policy',
+  USER_SESSION_EXPIRED: 'The staff member\'s online session has expired, authenticate again',
+  MISSING_SCOPES: 'The shop has not granted every scope the app requires, the merchant has to approve the new permissions',
+  INVALID_ACCESS_MODE: 'access_mode must be "offline" or "online"',
+  INVALID_RETURN_TO: 'return_to must be "admin" or "extension"',
+  INVALID_EXTENSION_ID: 'Invalid extension_id',
+  INVALID_REDIRECT_URI: 'redirect_uri is not a registered extension redirect',
+  MISSING_ASSOCIATED_USER: 'Shopify did not return an online access token',
+  MISSING_CODE_CHALLENGE: 'Missing or invalid code_challenge',
+  INVALID_GRANT: 'Invalid, expired or unapproved authorization grant',
+  GRANT_DECLINED_TITLE: 'Extension Not Connected',
+  GRANT_DECLINED: 'You declined the request. The extension was not given access to your store.',
   MISSING_OAUTH_PARAMS: 'Missing required OAuth parameters',
   FAILED_TOKEN_EXCHANGE: 'Failed to exchange code for token',
+  FAILED_TOKEN_REFRESH: 'Failed to refresh the shop access token',
+  INVALID_SESSION_TOKEN: 'Invalid or expired session token',
+  FAILED_SESSION_TOKEN_EXCHANGE: 'Failed to exchange session token for an access token',
   FAILED_PROXY: 'Failed to proxy request',
+  SHOPIFY_API_ERROR: 'Shopify API request failed',
+  RATE_LIMITED: 'Shopify rate limit reached for this shop, retry later',
   FAILED_AUTH_INIT: 'Failed to initialize authentication',
+  NO_MAINTENANCE_REPORT: 'Scheduled maintenance has not run yet',
+  COMPLIANCE_REQUEST_NOT_FOUND: 'Compliance request not found',
+  COMPLIANCE_EXPORT_NOT_FOUND: 'Compliance export not found or expired',
+  UNKNOWN_ENCRYPTION_KEY: 'Unknown token encryption key version',
   ACCESS_DENIED_TITLE: 'Access Denied',
   ACCESS_DENIED_MESSAGE: 'This app can only be accessed from within the Shopify admin dashboard.',
 };
\ No newline at end of file
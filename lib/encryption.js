@@ -0,0 +1,156 @@
+import { ConfigurationError } from './errors.js';
+import { ERROR_MESSAGES } from './constants.js';
+import { base64UrlEncode, base64UrlDecode } from './utils.js';
+
+// Envelope Encryption for Secrets at Rest
+//
+// Every value is encrypted with its own random AES-GCM data key. The data key is
+// wrapped (AES-KW) with a key-encryption key derived via HKDF from the
+// TOKEN_ENCRYPTION_KEY secret. That secret is a keyring of comma-separated
+// `version:secret` entries, the first being current:
+//
+//   TOKEN_ENCRYPTION_KEY="v2:new-secret,v1:old-secret"
+//
+// Rotating only requires re-wrapping data keys, never re-encrypting values.
+
+const KDF_SALT = 'shopify-oauth-worker';
+const DEFAULT_KEY_VERSION = 'v1';
+
+// Derived keys cached per isolate
+const keyEncryptionKeys = new Map();
+
+// Parse the TOKEN_ENCRYPTION_KEY keyring
+function parseKeyring(env) {
+  const entries = (env.TOKEN_ENCRYPTION_KEY || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      // A bare secret is treated as the first key version
+      return separator === -1
+        ? [DEFAULT_KEY_VERSION, entry]
+        : [entry.substring(0, separator), entry.substring(separator + 1)];
+    });
+  
+  if (entries.length === 0) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.MISSING_ENV}: TOKEN_ENCRYPTION_KEY`);
+  }
+  
+  return {
+    currentVersion: entries[0][0],
+    secrets: new Map(entries),
+  };
+}
+
+// Derive the key-encryption key for a keyring version
+async function getKeyEncryptionKey(version, env) {
+  const secret = parseKeyring(env).secrets.get(version);
+  if (!secret) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.UNKNOWN_ENCRYPTION_KEY}: ${version}`);
+  }
+  
+  const cacheKey = `${version}:${secret}`;
+  if (!keyEncryptionKeys.has(cacheKey)) {
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      'HKDF',
+      false,
+      ['deriveKey']
+    );
+    
+    const kek = await crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: encoder.encode(KDF_SALT),
+        info: encoder.encode(`token-kek:${version}`),
+      },
+      baseKey,
+      { name: 'AES-KW', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+    
+    keyEncryptionKeys.set(cacheKey, kek);
+  }
+  
+  return keyEncryptionKeys.get(cacheKey);
+}
+
+// Unwrap an envelope's data key
+async function unwrapDataKey(envelope, env) {
+  const kek = await getKeyEncryptionKey(envelope.kid, env);
+  return await crypto.subtle.unwrapKey(
+    'raw',
+    base64UrlDecode(envelope.dek),
+    kek,
+    'AES-KW',
+    { name: 'AES-GCM' },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Check Envelope Format
+export function isEncryptedEnvelope(value) {
+  return !!value && typeof value === 'object' && !!value.kid && !!value.dek && !!value.ct;
+}
+
+// Check whether an envelope is wrapped with the current key version
+export function isCurrentKeyVersion(envelope, env) {
+  return envelope.kid === parseKeyring(env).currentVersion;
+}
+
+// Encrypt a Secret
+export async function encryptSecret(plaintext, env) {
+  const { currentVersion } = parseKeyring(env);
+  const kek = await getKeyEncryptionKey(currentVersion, env);
+  
+  const dataKey = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    dataKey,
+    new TextEncoder().encode(plaintext)
+  );
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, kek, 'AES-KW');
+  
+  return {
+    kid: currentVersion,
+    iv: base64UrlEncode(iv),
+    ct: base64UrlEncode(ciphertext),
+    dek: base64UrlEncode(wrappedKey),
+  };
+}
+
+// Decrypt a Secret
+export async function decryptSecret(envelope, env) {
+  const dataKey = await unwrapDataKey(envelope, env);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64UrlDecode(envelope.iv) },
+    dataKey,
+    base64UrlDecode(envelope.ct)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// Re-wrap an envelope's data key with the current key version
+export async function rewrapSecret(envelope, env) {
+  const { currentVersion } = parseKeyring(env);
+  const dataKey = await unwrapDataKey(envelope, env);
+  const kek = await getKeyEncryptionKey(currentVersion, env);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, kek, 'AES-KW');
+  
+  return {
+    ...envelope,
+    kid: currentVersion,
+    dek: base64UrlEncode(wrappedKey),
+  };
+}
\ No newline at end of file
@@ -0,0 +1,267 @@
+import {
+  EVENT_TTL_SECONDS,
+  EVENT_PAGE_SIZE,
+  EVENT_STREAM_DURATION_MS,
+  EVENT_STREAM_POLL_MS,
+  EVENT_CURSOR_GRACE_MS,
+  ERROR_MESSAGES
+} from './constants.js';
+import { ValidationError } from './errors.js';
+import { deleteByPrefix, base64UrlEncode, base64UrlDecode } from './utils.js';
+
+// Per-Shop Event Queues
+//
+// Webhooks for the topics configured in WEBHOOK_TOPICS are queued in EVENTS as
+// `event:<shop>:<id>` for the shop's extension clients to poll or stream. Ids
+// start with the zero-padded receive time, so key order is delivery order.
+// Events expire after EVENT_TTL_SECONDS. The topic and customer id are kept as
+// list metadata so filtering and GDPR lookups don't have to load every event.
+//
+// KV listings are eventually consistent: an event can show up after newer ones
+// were already listed. Reads therefore only list the ids received from
+// EVENT_CURSOR_GRACE_MS before the cursor on, and the cursor remembers the ids
+// it has read within that window so late events are delivered exactly once.
+
+function eventPrefix(shop) {
+  return `event:${shop}:`;
+}
+
+function createEventId(webhookId) {
+  return `${String(Date.now()).padStart(15, '0')}-${webhookId}`;
+}
+
+function getEventTime(id) {
+  return Number(id.substring(0, 15));
+}
+
+// Decode an `after` cursor into the newest id read and the ids read within the
+// grace window before it. A bare event id (from older clients) counts every id
+// up to it as read.
+function decodeEventCursor(value) {
+  if (!value) {
+    return { after: null, seen: new Set(), upTo: null };
+  }
+  if (/^\d{15}-/.test(value)) {
+    return { after: value, seen: new Set(), upTo: value };
+  }
+  
+  try {
+    const { after, seen } = JSON.parse(new TextDecoder().decode(base64UrlDecode(value)));
+    if (typeof after === 'string' && Array.isArray(seen)) {
+      return { after, seen: new Set(seen), upTo: null };
+    }
+  } catch {
+    // Falls through to the validation error
+  }
+  throw new ValidationError(ERROR_MESSAGES.INVALID_EVENT_CURSOR);
+}
+
+// Event Cursor Validation
+export function isValidEventCursor(value) {
+  try {
+    decodeEventCursor(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Encode a cursor, dropping read ids that fell out of the grace window
+function encodeEventCursor({ after, seen }) {
+  if (!after) return null;
+  
+  const windowStart = getEventTime(after) - EVENT_CURSOR_GRACE_MS;
+  const recent = [...seen].filter(id => getEventTime(id) >= windowStart);
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify({ after, seen: recent })));
+}
+
+// Key prefixes covering the events received between two times
+//
+// A decimal prefix of the padded receive time covers an aligned range of
+// times, so a window fits in at most two prefixes of the range size above it.
+function getTimeRangePrefixes(shop, from, to) {
+  const prefix = eventPrefix(shop);
+  if (from <= 0) {
+    return [prefix];
+  }
+  
+  const digits = Math.ceil(Math.log10(to - from + 1));
+  const size = 10 ** digits;
+  const prefixes = [];
+  for (let range = Math.floor(from / size); range <= Math.floor(to / size); range++) {
+    prefixes.push(`${prefix}${String(range * size).padStart(15, '0').substring(0, 15 - digits)}`);
+  }
+  return prefixes;
+}
+
+// Customer an event is about, if any
+function getEventCustomerId(topic, payload) {
+  const customer = topic.startsWith('customers/') ? payload : payload.customer;
+  return customer && customer.id != null ? String(customer.id) : null;
+}
+
+// Queue a Webhook Event for a Shop
+export async function enqueueShopEvent(shop, topic, webhookId, payload, env) {
+  const id = createEventId(webhookId);
+  const event = {
+    id,
+    topic,
+    shop,
+    payload,
+    receivedAt: new Date().toISOString(),
+  };
+  
+  await env.EVENTS.put(`${eventPrefix(shop)}${id}`, JSON.stringify(event), {
+    expirationTtl: EVENT_TTL_SECONDS,
+    metadata: { topic, customerId: getEventCustomerId(topic, payload) },
+  });
+  return event;
+}
+
+// Read a Shop's Events After a Cursor
+//
+// Advances `cursor` past every id scanned and returns the events `filter(topic)`
+// accepts, each with the encoded cursor to resume after it. The cursor also
+// moves past events filtered out, so they aren't loaded again next time.
+async function readShopEvents(shop, env, cursor, { filter = null, limit = EVENT_PAGE_SIZE } = {}) {
+  const windowStart = cursor.after ? getEventTime(cursor.after) - EVENT_CURSOR_GRACE_MS : 0;
+  const prefixes = getTimeRangePrefixes(shop, windowStart, Date.now() + EVENT_CURSOR_GRACE_MS);
+  const offset = eventPrefix(shop).length;
+  const entries = [];
+  
+  for (const prefix of prefixes) {
+    let listCursor;
+    
+    do {
+      const page = await env.EVENTS.list({ prefix, cursor: listCursor });
+      
+      for (const key of page.keys) {
+        const id = key.name.substring(offset);
+        if (getEventTime(id) < windowStart || cursor.seen.has(id)) continue;
+        
+        cursor.seen.add(id);
+        if (!cursor.after || id > cursor.after) {
+          cursor.after = id;
+        }
+        // Ids a bare event id cursor covers were delivered already
+        if (cursor.upTo && id <= cursor.upTo) continue;
+        if (filter && !filter(key.metadata ? key.metadata.topic : null)) continue;
+        
+        const event = await env.EVENTS.get(key.name, 'json');
+        if (event) {
+          entries.push({ event, cursor: encodeEventCursor(cursor) });
+        }
+        if (entries.length >= limit) {
+          return { entries, has_more: true };
+        }
+      }
+      
+      listCursor = page.list_complete ? null : page.cursor;
+    } while (listCursor);
+  }
+  
+  return { entries, has_more: false };
+}
+
+// List a Shop's Events After a Cursor
+//
+// `after` is the cursor returned by the previous call. `filter(topic)` decides
+// which events are returned.
+export async function listShopEvents(shop, env, { after = null, filter = null, limit = EVENT_PAGE_SIZE } = {}) {
+  const cursor = decodeEventCursor(after);
+  const { entries, has_more } = await readShopEvents(shop, env, cursor, { filter, limit });
+  
+  return {
+    events: entries.map(entry => entry.event),
+    cursor: encodeEventCursor(cursor) || after,
+    has_more,
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Stream a Shop's Events as Server-Sent Events
+//
+// Polls the queue for EVENT_STREAM_DURATION_MS and then ends the stream. Each
+// event's SSE id is the cursor to resume after it, so clients reconnect with
+// `Last-Event-ID` (or `after`) to continue.
+export function createShopEventStream(shop, env, options = {}) {
+  const cursor = decodeEventCursor(options.after);
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  
+  (async () => {
+    const deadline = Date.now() + EVENT_STREAM_DURATION_MS;
+    
+    try {
+      await writer.write(encoder.encode(`retry: ${EVENT_STREAM_POLL_MS}\n\n`));
+      
+      while (Date.now() < deadline) {
+        const page = await readShopEvents(shop, env, cursor, options);
+        for (const { event, cursor: eventCursor } of page.entries) {
+          await writer.write(encoder.encode(
+            `id: ${eventCursor}\nevent: ${event.topic}\ndata: ${JSON.stringify(event)}\n\n`
+          ));
+        }
+        
+        if (!page.has_more) {
+          await sleep(EVENT_STREAM_POLL_MS);
+        }
+      }
+      
+      await writer.close();
+    } catch (error) {
+      // Most likely the client went away
+      console.log('Event stream ended:', error.message);
+    }
+  })();
+  
+  return readable;
+}
+
+// Find the keys of a shop's events about a customer
+async function findCustomerEventKeys(shop, customerId, env) {
+  const keys = [];
+  let cursor;
+  
+  do {
+    const page = await env.EVENTS.list({ prefix: eventPrefix(shop), cursor });
+    for (const key of page.keys) {
+      if (key.metadata && key.metadata.customerId === customerId) {
+        keys.push(key.name);
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return keys;
+}
+
+// Queued events carry webhook payloads, which often include customer data
+export const shopEventStore = {
+  name: 'shop_events',
+  
+  async exportCustomer(shop, customerId, env) {
+    const events = [];
+    for (const name of await findCustomerEventKeys(shop, customerId, env)) {
+      const event = await env.EVENTS.get(name, 'json');
+      if (event) {
+        events.push(event);
+      }
+    }
+    return events;
+  },
+  
+  async redactCustomer(shop, customerId, env) {
+    const keys = await findCustomerEventKeys(shop, customerId, env);
+    for (const name of keys) {
+      await env.EVENTS.delete(name);
+    }
+    return keys.length;
+  },
+  
+  redactShop: (shop, env) => deleteByPrefix(env.EVENTS, eventPrefix(shop)),
+};
\ No newline at end of file
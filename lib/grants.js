@@ -0,0 +1,176 @@
+import { GRANT_TTL_SECONDS } from './constants.js';
+import { timingSafeEqual } from './hmac.js';
+import { base64UrlEncode, sha256Base64Url } from './utils.js';
+
+// Extension Authorization Grants
+//
+// A grant is a one-time authorization an extension asks for before it can be
+// issued an API key. It starts out pending, waits for confirmation once the
+// merchant completes the OAuth handshake from an authenticated Shopify admin
+// session, and only becomes approved when the merchant confirms it on the
+// worker's confirmation page. Shopify skips its consent screen for installed
+// apps, so the handshake alone doesn't show the merchant meant to authorize an
+// extension. The page carries a one-time confirmation token that only its own
+// response holds. Redeeming requires the code verifier matching the challenge
+// the extension supplied when the grant was created, so a leaked grant id is
+// useless on its own.
+//
+// Grants for online access (`accessMode: 'online'`) are only approved by a
+// per-user authorization and remember the staff member who approved them.
+//
+// Grants created with `returnTo: 'extension'` end on the worker's completion
+// page, or on the extension's own `redirectUri` for identity API flows, which
+// hands the extension a one-time completion code standing in for the grant id
+// when redeeming.
+
+function grantKey(grantId) {
+  return `grant:${grantId}`;
+}
+
+function completionKey(code) {
+  return `completion:${code}`;
+}
+
+// Code Challenge Validation (base64url encoded SHA-256 digest)
+export function isValidCodeChallenge(challenge) {
+  return typeof challenge === 'string' && /^[A-Za-z0-9_-]{43}$/.test(challenge);
+}
+
+// Code Verifier Validation (RFC 7636 unreserved characters)
+export function isValidCodeVerifier(verifier) {
+  return typeof verifier === 'string' && /^[A-Za-z0-9._~-]{43,128}$/.test(verifier);
+}
+
+// Create Pending Grant
+export async function createGrant(shop, codeChallenge, env, {
+  policy = null,
+  accessMode = 'offline',
+  returnTo = null,
+  extensionId = null,
+  redirectUri = null
+} = {}) {
+  const grantId = crypto.randomUUID();
+  await env.AUTH_STATES.put(
+    grantKey(grantId),
+    JSON.stringify({
+      shop,
+      challenge: codeChallenge,
+      policy,
+      accessMode,
+      returnTo,
+      extensionId,
+      redirectUri,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+    }),
+    { expirationTtl: GRANT_TTL_SECONDS }
+  );
+  return grantId;
+}
+
+// Load Grant
+export async function getGrant(grantId, env) {
+  if (!grantId) return null;
+  return await env.AUTH_STATES.get(grantKey(grantId), 'json');
+}
+
+// Hold a Grant for Confirmation after a completed OAuth handshake
+// Returns the grant and the confirmation token for its confirmation page, or null
+export async function requestGrantConfirmation(grantId, shop, env, { userId = null } = {}) {
+  const grant = await getGrant(grantId, env);
+  if (!grant || grant.shop !== shop || grant.status === 'approved') {
+    return null;
+  }
+  
+  // Online grants need the staff member from a per-user authorization
+  if (grant.accessMode === 'online' && !userId) {
+    return null;
+  }
+  
+  const token = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const confirming = {
+    ...grant,
+    userId,
+    status: 'confirming',
+    confirmationChallenge: await sha256Base64Url(token),
+  };
+  await env.AUTH_STATES.put(grantKey(grantId), JSON.stringify(confirming), { expirationTtl: GRANT_TTL_SECONDS });
+  
+  return { grant: confirming, token };
+}
+
+// Load a grant waiting for the confirmation its token belongs to
+async function getConfirmingGrant(grantId, token, env) {
+  if (typeof token !== 'string' || !token) return null;
+  
+  const grant = await getGrant(grantId, env);
+  if (!grant || grant.status !== 'confirming') {
+    return null;
+  }
+  
+  const challenge = await sha256Base64Url(token);
+  return timingSafeEqual(challenge, grant.confirmationChallenge) ? grant : null;
+}
+
+// Approve Grant the merchant confirmed
+// Returns the approved grant, or null when the confirmation token doesn't match
+export async function approveGrant(grantId, token, env) {
+  const grant = await getConfirmingGrant(grantId, token, env);
+  if (!grant) {
+    return null;
+  }
+  
+  const { confirmationChallenge, ...rest } = grant;
+  const approved = { ...rest, status: 'approved', approvedAt: new Date().toISOString() };
+  await env.AUTH_STATES.put(grantKey(grantId), JSON.stringify(approved), { expirationTtl: GRANT_TTL_SECONDS });
+  return approved;
+}
+
+// Drop a Grant the merchant declined
+export async function declineGrant(grantId, token, env) {
+  const grant = await getConfirmingGrant(grantId, token, env);
+  if (!grant) {
+    return false;
+  }
+  
+  await env.AUTH_STATES.delete(grantKey(grantId));
+  return true;
+}
+
+// Issue the one-time code the completion page hands to the extension
+export async function createCompletionCode(grantId, env) {
+  const code = crypto.randomUUID();
+  await env.AUTH_STATES.put(completionKey(code), grantId, { expirationTtl: GRANT_TTL_SECONDS });
+  return code;
+}
+
+// Resolve a completion code to its grant id (single use)
+export async function resolveCompletionCode(code, env) {
+  if (typeof code !== 'string' || !code) return null;
+  
+  const grantId = await env.AUTH_STATES.get(completionKey(code));
+  if (grantId) {
+    await env.AUTH_STATES.delete(completionKey(code));
+  }
+  return grantId;
+}
+
+// Redeem Approved Grant (single use)
+export async function redeemGrant(grantId, codeVerifier, shop, env) {
+  if (!isValidCodeVerifier(codeVerifier)) {
+    return null;
+  }
+  
+  const grant = await getGrant(grantId, env);
+  if (!grant || grant.shop !== shop || grant.status !== 'approved') {
+    return null;
+  }
+  
+  const challenge = await sha256Base64Url(codeVerifier);
+  if (!timingSafeEqual(challenge, grant.challenge)) {
+    return null;
+  }
+  
+  await env.AUTH_STATES.delete(grantKey(grantId));
+  return grant;
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+// GraphQL Helpers
+
+// Response headers surfacing Shopify's query cost and throttle state
+export const GRAPHQL_COST_HEADERS = [
+  'X-GraphQL-Cost-Requested',
+  'X-GraphQL-Cost-Actual',
+  'X-GraphQL-Throttle-Maximum',
+  'X-GraphQL-Throttle-Available',
+  'X-GraphQL-Throttle-Restore-Rate',
+];
+
+// Validate a GraphQL request body
+export function isValidGraphQLRequest({ query, variables, operationName }) {
+  if (typeof query !== 'string' || !query.trim()) return false;
+  if (variables !== undefined && variables !== null &&
+      (typeof variables !== 'object' || Array.isArray(variables))) return false;
+  if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') return false;
+  return true;
+}
+
+// Determine the type of the operation that will run ('query', 'mutation', ...)
+// Returns null when it cannot be determined, e.g. several unnamed operations
+export function getGraphQLOperationType(query, operationName) {
+  // Drop strings and comments so their contents can't be mistaken for syntax
+  const source = query
+    .replace(/"""[\s\S]*?"""/g, '""')
+    .replace(/"(?:[^"\\\n]|\\.)*"/g, '""')
+    .replace(/#[^\n\r]*/g, '');
+  
+  const operations = [];
+  let current = null;
+  let depth = 0;
+  let parens = 0;
+  
+  for (const [token] of source.matchAll(/[{}()]|[_A-Za-z][_0-9A-Za-z]*/g)) {
+    if (token === '(') {
+      parens++;
+    } else if (token === ')') {
+      parens--;
+    } else if (parens > 0) {
+      // Variable definitions and arguments
+      continue;
+    } else if (token === '{') {
+      if (depth === 0) {
+        // A bare selection set is a shorthand query
+        const definition = current || { type: 'query', name: null };
+        if (definition.type !== 'fragment') {
+          operations.push(definition);
+        }
+        current = null;
+      }
+      depth++;
+    } else if (token === '}') {
+      depth--;
+    } else if (depth === 0) {
+      if (!current && ['query', 'mutation', 'subscription', 'fragment'].includes(token)) {
+        current = { type: token, name: null };
+      } else if (current && current.name === null) {
+        current.name = token;
+      }
+    }
+  }
+  
+  const operation = operationName
+    ? operations.find(candidate => candidate.name === operationName)
+    : operations.length === 1 ? operations[0] : null;
+  
+  return operation ? operation.type : null;
+}
+
+// Build cost headers from a GraphQL response's `extensions.cost`
+export function getGraphQLCostHeaders(responseData) {
+  const cost = responseData && responseData.extensions && responseData.extensions.cost;
+  if (!cost) return {};
+  
+  const headers = {
+    'X-GraphQL-Cost-Requested': cost.requestedQueryCost,
+    'X-GraphQL-Cost-Actual': cost.actualQueryCost,
+  };
+  
+  if (cost.throttleStatus) {
+    headers['X-GraphQL-Throttle-Maximum'] = cost.throttleStatus.maximumAvailable;
+    headers['X-GraphQL-Throttle-Available'] = cost.throttleStatus.currentlyAvailable;
+    headers['X-GraphQL-Throttle-Restore-Rate'] = cost.throttleStatus.restoreRate;
+  }
+  
+  // Omit values Shopify did not report
+  return Object.fromEntries(
+    Object.entries(headers)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name, String(value)])
+  );
+}
\ No newline at end of file
@@ -1,30 +1,114 @@
 import { AuthenticationError, ValidationError, ConfigurationError } from './errors.js';
-import { ERROR_MESSAGES, STATE_TTL_SECONDS, API_KEY_TTL_DAYS } from './constants.js';
+import {
+  ERROR_MESSAGES,
+  ERROR_CODES,
+  STATE_TTL_SECONDS,
+  GRANT_TTL_SECONDS,
+  MAX_PAGINATION_PAGES,
+  EVENT_PAGE_SIZE
+} from './constants.js';
 import { 
   isValidShopDomain, 
   checkInstallation, 
-  isValidHost 
+  isValidHost,
+  isValidEmbeddedContext,
+  isAllowedExtensionRedirect,
+  isValidEndpoint
 } from './validation.js';
-import { verifyShopifyHmac, verifyWebhookHmac } from './hmac.js';
+import { verifyShopifyHmac, verifyWebhookHmac, timingSafeEqual } from './hmac.js';
 import { 
   getCorsHeaders, 
   extractApiKey, 
   parseJsonBody, 
+  parseFormBody,
   createJsonResponse,
-  buildShopifyAuthUrl
+  createRawResponse,
+  buildShopifyAuthUrl,
+  getPaginationHeaders,
+  getForwardedShopifyHeaders,
+  createRedirectResponse
 } from './utils.js';
 import {
   exchangeCodeForToken,
+  exchangeSessionToken,
   storeShopData,
-  registerMandatoryWebhooks,
-  proxyToShopify
+  getShopData,
+  migrateShopTokens,
+  uninstallShop,
+  needsReauth,
+  markShopNeedsReauth,
+  syncWebhooks,
+  reconcileWebhooks,
+  proxyToShopify,
+  proxyPaginatedToShopify,
+  proxyGraphQLToShopify,
+  getShopifyError
 } from './shopify.js';
 import {
   createInstallRedirect,
   createAccessDeniedPage,
+  createErrorPage,
+  createCompletionPage,
+  createGrantConfirmationPage,
   createEmbeddedApp,
   createLandingPage
 } from './templates.js';
+import {
+  isValidCodeChallenge,
+  createGrant,
+  getGrant,
+  requestGrantConfirmation,
+  approveGrant,
+  declineGrant,
+  redeemGrant,
+  createCompletionCode,
+  resolveCompletionCode
+} from './grants.js';
+import {
+  createApiKey,
+  getApiKey,
+  touchApiKey,
+  describeApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  rotateApiKey,
+  migrateApiKeyRecords
+} from './api-keys.js';
+import { verifySessionToken, isJwt } from './session-token.js';
+import { getMissingScopes } from './scopes.js';
+import {
+  createStateNonce,
+  verifyStateNonce,
+  clearStateNonce,
+  isFreshCallbackTimestamp,
+  isValidState
+} from './oauth-state.js';
+import { normalizeKeyPolicy, checkKeyPolicy } from './key-policy.js';
+import {
+  isValidGraphQLRequest,
+  getGraphQLOperationType,
+  getGraphQLCostHeaders
+} from './graphql.js';
+import {
+  checkWebhookDelivery,
+  markWebhookProcessed,
+  getWebhookTopicFromPath
+} from './webhooks.js';
+import { getMaintenanceReport } from './scheduled.js';
+import {
+  storeOnlineToken,
+  getOnlineToken,
+  deleteOnlineToken,
+  deleteOnlineTokens
+} from './online-tokens.js';
+import { enqueueShopEvent, listShopEvents, createShopEventStream, isValidEventCursor } from './events.js';
+import {
+  processComplianceRequest,
+  getComplianceRequest,
+  listComplianceRequests,
+  getComplianceExport
+} from './compliance.js';
 
 // Request Router
 export async function routeRequest(request, url, env, corsHeaders) {
@@ -37,11 +121,23 @@ export async function routeRequest(request, url, env, corsHeaders) {
   const routes = {
     '/auth': () => handleOAuth(request, env),
     '/auth/callback': () => handleOAuthCallback(request, env),
-    '/webhooks/customers/redact': () => handleWebhook(request, env, 'customers/redact'),
-    '/webhooks/shop/redact': () => handleWebhook(request, env, 'shop/redact'),
-    '/webhooks/customers/data_request': () => handleWebhook(request, env, 'customers/data_request'),
+    '/auth/complete': () => createCompletionPage(),
+    '/auth/grant': () => handleGrantConfirmation(request, env),
+    '/auth/token-exchange': () => handleTokenExchange(request, env, corsHeaders),
     '/api/auth': () => handleExtensionAuth(request, env, corsHeaders),
     '/api/proxy': () => handleAPIProxy(request, env, corsHeaders),
+    '/api/graphql': () => handleGraphQLProxy(request, env, corsHeaders),
+    '/api/events': () => handleEvents(request, url, env, corsHeaders),
+    '/api/settings': () => handleSettings(request, env, corsHeaders),
+    '/api/keys': () => handleListKeys(request, env, corsHeaders),
+    '/api/keys/revoke': () => handleRevokeKeys(request, env, corsHeaders),
+    '/api/keys/rotate': () => handleRotateKey(request, env, corsHeaders),
+    '/admin/migrations/api-keys': () => handleApiKeyMigration(request, url, env),
+    '/admin/migrations/shop-tokens': () => handleShopTokenMigration(request, url, env),
+    '/admin/maintenance': () => handleMaintenanceReport(request, env),
+    '/admin/webhooks/reconcile': () => handleWebhookReconcile(request, url, env),
+    '/admin/compliance/requests': () => handleComplianceRequests(request, url, env),
+    '/admin/compliance/export': () => handleComplianceExport(request, url, env),
   };
   
   const handler = routes[url.pathname];
@@ -49,6 +145,15 @@ export async function routeRequest(request, url, env, corsHeaders) {
     return await handler();
   }
   
+  // Every subscribed webhook topic is delivered to /webhooks/<topic>
+  if (url.pathname.startsWith('/webhooks/')) {
+    const topic = getWebhookTopicFromPath(url.pathname, env);
+    if (topic) {
+      return await handleWebhook(request, env, topic);
+    }
+    return new Response(ERROR_MESSAGES.UNKNOWN_WEBHOOK_TOPIC, { status: 404 });
+  }
+  
   return new Response('Not Found', { status: 404 });
 }
 
@@ -68,32 +173,54 @@ async function handleRootPath(url, env) {
     throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
   }
   
-  // Check installation status
-  const isInstalled = await checkInstallation(shop, env);
-  
-  if (!isInstalled) {
-    return createInstallRedirect(shop, env);
-  }
-  
-  // Check if this is an embedded app request
+  // Shopify signs embedded app loads; unsigned or foreign requests are denied
   if (embedded === '1') {
-    // For embedded apps, validate host parameter
-    if (!host) {
-      console.error('Missing host parameter for embedded app');
+    if (!isValidEmbeddedContext(embedded, host, url.searchParams.get('hmac'))) {
+      console.error('Missing host or hmac parameter for embedded app');
+      return createAccessDeniedPage(shop);
+    }
+    
+    const isValidHmac = await verifyShopifyHmac(url.searchParams, env.SHOPIFY_API_SECRET);
+    if (!isValidHmac) {
+      console.error('HMAC verification failed for embedded app request');
       return createAccessDeniedPage(shop);
     }
     
     if (!isValidHost(host, shop)) {
-      console.error('Host validation failed:', { 
-        host: host ? `${host.substring(0, 20)}...` : 'null',
-        shop 
+      console.error('Host validation failed:', {
+        host: `${host.substring(0, 20)}...`,
+        shop
       });
-      // Instead of throwing an error, try to handle gracefully
-      // Some Shopify contexts might have different host formats
-      console.warn('Proceeding despite host validation failure - this may be a Shopify format change');
+      return createAccessDeniedPage(shop);
+    }
+  }
+  
+  // Check installation status
+  const isInstalled = await checkInstallation(shop, env);
+  
+  if (!isInstalled) {
+    // Managed installs load the embedded app with a session token to exchange
+    const idToken = url.searchParams.get('id_token');
+    const session = embedded === '1' && idToken ? await verifySessionToken(idToken, env) : null;
+    if (!session || session.shop !== shop) {
+      return createInstallRedirect(shop, env);
     }
     
-    return createEmbeddedApp(shop, host, env);
+    await installWithSessionToken(shop, idToken, env);
+  }
+  
+  // Shops installed before OAUTH_SCOPES grew have to approve the new scopes
+  const shopData = await getShopData(shop, env);
+  const missingScopes = shopData ? getMissingScopes(shopData.scope, env.OAUTH_SCOPES) : [];
+  
+  // Embedded app request, already verified above. OAuth can't run inside the
+  // admin iframe, so the page asks the merchant to grant the new permissions.
+  if (embedded === '1') {
+    return createEmbeddedApp(shop, host, env, { missingScopes, origin: env.APP_URL || url.origin });
+  }
+  
+  if (missingScopes.length > 0) {
+    return createInstallRedirect(shop, env);
   }
   
   // Non-embedded access - redirect to Shopify admin
@@ -109,63 +236,303 @@ async function handleOAuth(request, env) {
     throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
   }
   
+  // Optional extension grant this handshake will approve
+  const grantId = url.searchParams.get('grant');
+  let accessMode = 'offline';
+  if (grantId) {
+    const grant = await getGrant(grantId, env);
+    if (!grant || grant.shop !== shop) {
+      throw new ValidationError(ERROR_MESSAGES.INVALID_GRANT);
+    }
+    
+    // Online grants ask for a per-user token, once the shop has its offline token
+    if (grant.accessMode === 'online' && await checkInstallation(shop, env)) {
+      accessMode = 'online';
+    }
+  }
+  
   const state = crypto.randomUUID();
   const redirectUri = `${env.APP_URL || url.origin}/auth/callback`;
   
+  // Bind the state to this browser with a signed nonce cookie
+  const { nonceChallenge, cookie } = await createStateNonce(state, env);
+  
   // Store state for verification with error handling
   try {
-    await env.AUTH_STATES.put(state, shop, { expirationTtl: STATE_TTL_SECONDS });
+    await env.AUTH_STATES.put(
+      state,
+      JSON.stringify({ shop, grantId, accessMode, nonceChallenge }),
+      { expirationTtl: STATE_TTL_SECONDS }
+    );
   } catch (error) {
     console.error('Failed to store auth state:', error);
     throw new ConfigurationError(ERROR_MESSAGES.FAILED_AUTH_INIT);
   }
   
-  const authUrl = buildShopifyAuthUrl(shop, env.SHOPIFY_API_KEY, env.OAUTH_SCOPES, redirectUri, state);
-  return Response.redirect(authUrl, 302);
+  const authUrl = buildShopifyAuthUrl(shop, env.SHOPIFY_API_KEY, env.OAUTH_SCOPES, redirectUri, state, {
+    perUser: accessMode === 'online',
+  });
+  return createRedirectResponse(authUrl, { 'Set-Cookie': cookie });
 }
 
+// OAuth Callback
+// The merchant's browser lands here, so failures are shown as an error page
 async function handleOAuthCallback(request, env) {
   const url = new URL(request.url);
-  const { code, shop, state, hmac } = Object.fromEntries(url.searchParams);
+  
+  try {
+    return await completeOAuthCallback(request, url, env);
+  } catch (error) {
+    if (!(error instanceof AuthenticationError) && !(error instanceof ValidationError)) {
+      throw error;
+    }
+    
+    console.error('OAuth callback failed:', error.message);
+    const { shop, state } = Object.fromEntries(url.searchParams);
+    const retryUrl = isValidShopDomain(shop)
+      ? `${env.APP_URL || url.origin}/auth?shop=${encodeURIComponent(shop)}`
+      : null;
+    
+    return createErrorPage(ERROR_MESSAGES.OAUTH_ERROR_TITLE, error.message, {
+      status: error.statusCode,
+      action: retryUrl ? { url: retryUrl, label: 'Start again' } : null,
+      headers: isValidState(state) ? { 'Set-Cookie': clearStateNonce(state) } : {},
+    });
+  }
+}
+
+async function completeOAuthCallback(request, url, env) {
+  const { code, shop, state, hmac, host, timestamp } = Object.fromEntries(url.searchParams);
   
   // Validate all required parameters
-  if (!code || !shop || !state || !hmac) {
+  if (!code || !shop || !state || !hmac || !timestamp) {
     throw new ValidationError(ERROR_MESSAGES.MISSING_OAUTH_PARAMS);
   }
   
-  // Verify state
-  const savedShop = await env.AUTH_STATES.get(state);
-  if (savedShop !== shop) {
-    throw new AuthenticationError(ERROR_MESSAGES.INVALID_STATE, 403);
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
   }
   
-  // Clean up state
-  await env.AUTH_STATES.delete(state);
-  
-  // Verify HMAC
+  // Verify HMAC before trusting any other parameter
   const isValidHmac = await verifyShopifyHmac(url.searchParams, env.SHOPIFY_API_SECRET);
   if (!isValidHmac) {
     console.error('HMAC verification failed for OAuth callback');
     throw new AuthenticationError(ERROR_MESSAGES.INVALID_HMAC, 403);
   }
   
+  if (!isFreshCallbackTimestamp(timestamp)) {
+    throw new AuthenticationError(ERROR_MESSAGES.STALE_OAUTH_CALLBACK, 403);
+  }
+  
+  if (host && !isValidHost(host, shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_HOST);
+  }
+  
+  // Verify state
+  if (!isValidState(state)) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_STATE, 403);
+  }
+  
+  const savedState = await env.AUTH_STATES.get(state, 'json');
+  if (!savedState || savedState.shop !== shop) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_STATE, 403);
+  }
+  
+  // Clean up state, then check this browser is the one that started the flow
+  await env.AUTH_STATES.delete(state);
+  
+  if (!(await verifyStateNonce(request, state, savedState.nonceChallenge, env))) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_STATE_COOKIE, 403);
+  }
+  
+  const cookieHeaders = { 'Set-Cookie': clearStateNonce(state) };
+  const adminUrl = `https://${shop}/admin/apps/${env.SHOPIFY_APP_HANDLE}`;
+  
+  // Per-user authorization for an online extension grant; the shop's offline token stays as is
+  if (savedState.accessMode === 'online') {
+    const tokenData = await exchangeCodeForToken(shop, code, env, { online: true });
+    if (!tokenData.associated_user) {
+      throw new AuthenticationError(ERROR_MESSAGES.MISSING_ASSOCIATED_USER);
+    }
+    
+    const userId = await storeOnlineToken(shop, tokenData, env);
+    return await createGrantConfirmation(savedState.grantId, shop, env, cookieHeaders, { userId });
+  }
+  
+  // An installed shop that already has every scope keeps its token, webhooks
+  // and installedAt when an extension signs in
+  const storedShop = await env.SHOPS.get(shop, 'json');
+  const isCurrentInstall = !!storedShop && !needsReauth(storedShop);
+  const missingScopes = isCurrentInstall ? getMissingScopes(storedShop.scope, env.OAUTH_SCOPES) : [];
+  
+  if (savedState.grantId && isCurrentInstall && missingScopes.length === 0) {
+    return await continueExtensionGrant(savedState.grantId, shop, url, env, cookieHeaders);
+  }
+  
   // Exchange code for access token
   const tokenData = await exchangeCodeForToken(shop, code, env);
   
-  // Store shop data
-  await storeShopData(shop, tokenData, env);
+  // Store shop data; a scope upgrade is still the same install. Any other
+  // rewrite starts a new one, so uninstalls delivered late for an earlier
+  // install are told apart from the current one.
+  await storeShopData(shop, tokenData, env, {
+    installedAt: isCurrentInstall && missingScopes.length > 0 ? storedShop.installedAt : undefined,
+  });
   
-  // Register webhooks
-  await registerMandatoryWebhooks(shop, tokenData.access_token, env);
+  // Subscribe webhooks; failures are recorded on the shop for reconciliation
+  await syncWebhooks(shop, tokenData.access_token, env);
+  
+  // The merchant proved admin access to this shop, so ask them to confirm any pending extension grant
+  if (savedState.grantId) {
+    return await continueExtensionGrant(savedState.grantId, shop, url, env, cookieHeaders);
+  }
   
   // Redirect to app in Shopify admin
-  return Response.redirect(`https://${shop}/admin/apps/${env.SHOPIFY_APP_HANDLE}`, 302);
+  return createRedirectResponse(adminUrl, cookieHeaders);
+}
+
+// Continue an extension grant once the shop has its offline token: online grants
+// still need the per-user authorization, the rest go to the confirmation page
+async function continueExtensionGrant(grantId, shop, url, env, headers) {
+  const grant = await getGrant(grantId, env);
+  
+  if (grant && grant.accessMode === 'online') {
+    const params = new URLSearchParams({ shop, grant: grantId });
+    return createRedirectResponse(`${env.APP_URL || url.origin}/auth?${params}`, headers);
+  }
+  
+  return await createGrantConfirmation(grantId, shop, env, headers);
+}
+
+// Show the confirmation page for an extension grant whose OAuth handshake completed
+async function createGrantConfirmation(grantId, shop, env, headers, { userId = null } = {}) {
+  const confirmation = await requestGrantConfirmation(grantId, shop, env, { userId });
+  if (!confirmation) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_GRANT, 403);
+  }
+  
+  return createGrantConfirmationPage(confirmation.grant, { grantId, token: confirmation.token, headers });
+}
+
+// Extension Grant Confirmation
+// The confirmation page posts the merchant's decision here
+async function handleGrantConfirmation(request, env) {
+  const url = new URL(request.url);
+  const { grant: grantId, token, decision } = await parseFormBody(request);
+  
+  if (decision === 'decline') {
+    if (!(await declineGrant(grantId, token, env))) {
+      return createErrorPage(ERROR_MESSAGES.OAUTH_ERROR_TITLE, ERROR_MESSAGES.INVALID_GRANT, { status: 403 });
+    }
+    return createErrorPage(ERROR_MESSAGES.GRANT_DECLINED_TITLE, ERROR_MESSAGES.GRANT_DECLINED, { status: 200 });
+  }
+  
+  const grant = decision === 'approve' ? await approveGrant(grantId, token, env) : null;
+  if (!grant) {
+    return createErrorPage(ERROR_MESSAGES.OAUTH_ERROR_TITLE, ERROR_MESSAGES.INVALID_GRANT, { status: 403 });
+  }
+  
+  const adminUrl = `https://${grant.shop}/admin/apps/${env.SHOPIFY_APP_HANDLE}`;
+  const location = await getGrantApprovedLocation(grantId, grant, adminUrl, url, env);
+  return createRedirectResponse(location);
+}
+
+// Where the merchant lands once an extension grant is approved: the app in Shopify
+// admin, or for return_to=extension the completion page (or the extension's own
+// redirect URL) with a one-time code in the URL fragment, which never reaches
+// server logs or referrers
+async function getGrantApprovedLocation(grantId, grant, adminUrl, url, env) {
+  if (!grant || grant.returnTo !== 'extension') {
+    return adminUrl;
+  }
+  
+  const fragment = new URLSearchParams({
+    shop: grant.shop,
+    code: await createCompletionCode(grantId, env),
+  });
+  
+  // Checked again in case the origin was unregistered while the merchant approved
+  if (grant.redirectUri && isAllowedExtensionRedirect(grant.redirectUri, env)) {
+    return `${grant.redirectUri}#${fragment}`;
+  }
+  
+  if (grant.extensionId) {
+    fragment.set('extension_id', grant.extensionId);
+  }
+  return `${env.APP_URL || url.origin}/auth/complete#${fragment}`;
+}
+
+// Session Token Exchange
+//
+// Embedded pages send their App Bridge session token as the Bearer credential.
+// When the shop has no working access token yet, it is exchanged for one.
+async function handleTokenExchange(request, env, corsHeaders) {
+  const session = await authenticateSessionToken(request, env);
+  if (!session) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.INVALID_SESSION_TOKEN, code: ERROR_CODES.MISSING_AUTH },
+      401,
+      corsHeaders
+    );
+  }
+  
+  const isInstalled = await checkInstallation(session.shop, env);
+  if (!isInstalled) {
+    try {
+      await installWithSessionToken(session.shop, extractApiKey(request), env);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) {
+        throw error;
+      }
+      
+      // Shopify rejected the session token or the exchange failed
+      return createJsonResponse(
+        {
+          error: error.message,
+          ...(error.statusCode === 401 ? { code: ERROR_CODES.MISSING_AUTH } : {}),
+        },
+        error.statusCode,
+        corsHeaders
+      );
+    }
+  }
+  
+  return createJsonResponse(
+    { success: true, shop: session.shop, exchanged: !isInstalled },
+    200,
+    corsHeaders
+  );
+}
+
+// Store the token exchanged for a session token and subscribe webhooks, as the
+// OAuth callback does for a regular install
+async function installWithSessionToken(shop, sessionToken, env) {
+  const tokenData = await exchangeSessionToken(shop, sessionToken, env);
+  await storeShopData(shop, tokenData, env);
+  await syncWebhooks(shop, tokenData.access_token, env);
 }
 
 // Extension Authentication
+//
+// Two-step handshake: the extension first asks for a grant by sending a PKCE-style
+// code_challenge (and optionally a key policy), opens the returned authorize_url so
+// the merchant can approve it from their Shopify admin session, then redeems the
+// grant with its code_verifier. With return_to=extension the flow ends on the
+// completion page, and the grant is redeemed with the one-time code it hands over.
 async function handleExtensionAuth(request, env, corsHeaders) {
   const body = await parseJsonBody(request);
-  const { shop } = body;
+  const {
+    shop,
+    grant_id: requestedGrantId,
+    code: completionCode,
+    code_challenge: codeChallenge,
+    code_verifier: codeVerifier,
+    policy: requestedPolicy,
+    access_mode: accessMode = 'offline',
+    return_to: returnTo = 'admin',
+    extension_id: extensionId = null,
+    redirect_uri: redirectUri = null
+  } = body;
   
   if (!isValidShopDomain(shop)) {
     return createJsonResponse(
@@ -175,12 +542,111 @@ async function handleExtensionAuth(request, env, corsHeaders) {
     );
   }
   
-  // Check if shop has app installed
-  const shopData = await env.SHOPS.get(shop, 'json');
+  // Step 1: start a handshake
+  if (!requestedGrantId && !completionCode) {
+    if (!isValidCodeChallenge(codeChallenge)) {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.MISSING_CODE_CHALLENGE },
+        400,
+        corsHeaders
+      );
+    }
+    
+    const { policy, error: policyError } = normalizeKeyPolicy(requestedPolicy);
+    if (policyError) {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_KEY_POLICY, details: policyError },
+        400,
+        corsHeaders
+      );
+    }
+    
+    if (accessMode !== 'offline' && accessMode !== 'online') {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_ACCESS_MODE },
+        400,
+        corsHeaders
+      );
+    }
+    
+    if (returnTo !== 'admin' && returnTo !== 'extension') {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_RETURN_TO },
+        400,
+        corsHeaders
+      );
+    }
+    
+    // Lets the completion page message the extension (Chrome externally_connectable)
+    if (extensionId !== null && !/^[A-Za-z0-9._@{}-]{1,128}$/.test(String(extensionId))) {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_EXTENSION_ID },
+        400,
+        corsHeaders
+      );
+    }
+    
+    // Identity API flows (chrome.identity.launchWebAuthFlow) end on the extension's redirect URL
+    if (redirectUri !== null && !isAllowedExtensionRedirect(redirectUri, env)) {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_REDIRECT_URI },
+        400,
+        corsHeaders
+      );
+    }
+    
+    const returnToExtension = returnTo === 'extension';
+    const newGrantId = await createGrant(shop, codeChallenge, env, {
+      policy,
+      accessMode,
+      returnTo: returnToExtension ? 'extension' : null,
+      extensionId: returnToExtension ? extensionId : null,
+      redirectUri: returnToExtension ? redirectUri : null,
+    });
+    const origin = env.APP_URL || new URL(request.url).origin;
+    const params = new URLSearchParams({ shop, grant: newGrantId });
+    
+    // Approving the grant runs OAuth with every required scope, upgrading the shop
+    const { response, shopData } = await loadShopDataForApi(shop, env, corsHeaders);
+    if (response) {
+      return response;
+    }
+    
+    return createJsonResponse(
+      {
+        authorization_required: true,
+        grant_id: newGrantId,
+        authorize_url: `${origin}/auth?${params}`,
+        expires_in: GRANT_TTL_SECONDS,
+        missing_scopes: shopData ? getMissingScopes(shopData.scope, env.OAUTH_SCOPES) : [],
+      },
+      200,
+      corsHeaders
+    );
+  }
+  
+  // Step 2: redeem an approved grant, by id or by the completion page's code
+  const grantId = completionCode ? await resolveCompletionCode(completionCode, env) : requestedGrantId;
+  const grant = grantId ? await redeemGrant(grantId, codeVerifier, shop, env) : null;
+  if (!grant) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.INVALID_GRANT },
+      401,
+      corsHeaders
+    );
+  }
+  
+  // Check if shop has app installed with a working token
+  const { response, shopData } = await loadShopDataForApi(shop, env, corsHeaders);
+  if (response) {
+    return response;
+  }
+  
   if (!shopData) {
     return createJsonResponse(
       {
         error: ERROR_MESSAGES.APP_NOT_INSTALLED,
+        code: ERROR_CODES.APP_NOT_INSTALLED,
         install_url: `https://apps.shopify.com/${env.SHOPIFY_APP_HANDLE}`,
       },
       403,
@@ -188,79 +654,370 @@ async function handleExtensionAuth(request, env, corsHeaders) {
     );
   }
   
-  // Generate and store API key
-  const apiKey = crypto.randomUUID();
-  await env.API_KEYS.put(
-    `key:${apiKey}`,
-    JSON.stringify({
+  if (needsReauth(shopData)) {
+    return createReauthResponse(request, shop, env, corsHeaders);
+  }
+  
+  // Generate and store API key, bound to the approving staff member for online grants
+  const { apiKey, keyId } = await createApiKey(shop, env, {
+    policy: grant.policy,
+    userId: grant.userId || null,
+  });
+  
+  return createJsonResponse(
+    {
+      success: true,
+      api_key: apiKey,
+      key_id: keyId,
       shop,
-      accessToken: shopData.accessToken,
-      createdAt: new Date().toISOString(),
-    }),
-    { expirationTtl: 86400 * API_KEY_TTL_DAYS }
+      policy: grant.policy || null,
+      access_mode: grant.accessMode || 'offline',
+      user_id: grant.userId || null,
+      missing_scopes: getMissingScopes(shopData.scope, env.OAUTH_SCOPES),
+    },
+    200,
+    corsHeaders
   );
+}
+
+// Shop Reauthorization Response
+// Tells clients the shop's access token is dead, as opposed to their API key
+// (401), so they send the merchant to reinstall instead of re-authenticating.
+function createReauthResponse(request, shop, env, corsHeaders) {
+  const origin = env.APP_URL || new URL(request.url).origin;
+  return createJsonResponse(
+    {
+      error: ERROR_MESSAGES.SHOP_REAUTH_REQUIRED,
+      code: ERROR_CODES.SHOP_REAUTH_REQUIRED,
+      shop,
+      reinstall_url: `${origin}/auth?shop=${encodeURIComponent(shop)}`,
+    },
+    403,
+    corsHeaders
+  );
+}
+
+// Load a shop for an API response
+// A token refresh Shopify failed to answer becomes a JSON error the client can
+// retry, instead of the generic error page without CORS headers
+async function loadShopDataForApi(shop, env, corsHeaders) {
+  try {
+    return { shopData: await getShopData(shop, env) };
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      throw error;
+    }
+    
+    console.error(`Loading ${shop} failed:`, error.message);
+    return {
+      response: createJsonResponse(
+        { error: error.message, code: ERROR_CODES.TOKEN_REFRESH_FAILED },
+        error.statusCode,
+        corsHeaders
+      ),
+    };
+  }
+}
+
+// Explain a Shopify 403 on a shop that hasn't granted every required scope yet,
+// which is usually why the call was denied
+function addMissingScopes(shopifyError, request, shop, shopData, env) {
+  const missingScopes = getMissingScopes(shopData.scope, env.OAUTH_SCOPES);
+  if (shopifyError.status !== 403 || missingScopes.length === 0) {
+    return shopifyError;
+  }
   
+  const origin = env.APP_URL || new URL(request.url).origin;
+  return {
+    ...shopifyError,
+    error: ERROR_MESSAGES.MISSING_SCOPES,
+    code: ERROR_CODES.MISSING_SCOPES,
+    missing_scopes: missingScopes,
+    reauthorize_url: `${origin}/auth?shop=${encodeURIComponent(shop)}`,
+  };
+}
+
+// Response for a key whose staff member's online token is gone; the extension
+// authenticates again, like for an invalid key
+function createUserSessionExpiredResponse(corsHeaders) {
   return createJsonResponse(
-    { success: true, api_key: apiKey, shop },
-    200,
+    { error: ERROR_MESSAGES.USER_SESSION_EXPIRED, code: ERROR_CODES.USER_SESSION_EXPIRED },
+    401,
     corsHeaders
   );
 }
 
-// API Proxy Handler
-async function handleAPIProxy(request, env, corsHeaders) {
+// Handle a 401 from Shopify: drop the staff member's online token for user-bound
+// keys, otherwise flag the shop and answer with the reauth response
+async function handleRejectedShopToken(request, keyData, env, corsHeaders) {
+  const { shop, userId } = keyData;
+  
+  if (userId) {
+    await deleteOnlineToken(shop, userId, env);
+    return createUserSessionExpiredResponse(corsHeaders);
+  }
+  
+  console.error(`Shopify rejected the access token of ${shop}, marking it for reauthorization`);
+  await markShopNeedsReauth(shop, 'token_rejected', env);
+  return createReauthResponse(request, shop, env, corsHeaders);
+}
+
+// Proxy Authentication
+// Resolves the calling API key and its shop's current access token. Returns
+// { response } with an error response when the request can't be proxied.
+async function authenticateProxyRequest(request, env, corsHeaders) {
   // Extract and validate API key
   const apiKey = extractApiKey(request);
   if (!apiKey) {
+    return {
+      response: createJsonResponse(
+        { error: ERROR_MESSAGES.MISSING_AUTH, code: ERROR_CODES.MISSING_AUTH },
+        401,
+        corsHeaders
+      ),
+    };
+  }
+  
+  // Verify API key
+  const keyData = await getApiKey(apiKey, env);
+  if (!keyData) {
+    return {
+      response: createJsonResponse(
+        { error: ERROR_MESSAGES.INVALID_API_KEY, code: ERROR_CODES.INVALID_API_KEY },
+        401,
+        corsHeaders
+      ),
+    };
+  }
+  
+  await touchApiKey(apiKey, keyData, env);
+  
+  // Resolve the shop's current access token
+  const { response, shopData } = await loadShopDataForApi(keyData.shop, env, corsHeaders);
+  if (response) {
+    return { response };
+  }
+  
+  if (!shopData) {
+    return {
+      response: createJsonResponse(
+        { error: ERROR_MESSAGES.APP_NOT_INSTALLED, code: ERROR_CODES.APP_NOT_INSTALLED },
+        403,
+        corsHeaders
+      ),
+    };
+  }
+  
+  // Don't keep sending a token Shopify has already rejected
+  if (needsReauth(shopData)) {
+    return { response: createReauthResponse(request, keyData.shop, env, corsHeaders) };
+  }
+  
+  // Keys bound to a staff member act with that user's online token, so Shopify
+  // applies their permissions and audit logs name them
+  if (keyData.userId) {
+    const onlineToken = await getOnlineToken(keyData.shop, keyData.userId, env);
+    if (!onlineToken) {
+      return { response: createUserSessionExpiredResponse(corsHeaders) };
+    }
+    
+    return {
+      apiKey,
+      keyData,
+      shopData: {
+        ...shopData,
+        accessToken: onlineToken.accessToken,
+        associatedUser: onlineToken.associatedUser,
+      },
+    };
+  }
+  
+  return { apiKey, keyData, shopData };
+}
+
+// API Proxy Handler
+async function handleAPIProxy(request, env, corsHeaders) {
+  const { response, keyData, shopData } = await authenticateProxyRequest(request, env, corsHeaders);
+  if (response) {
+    return response;
+  }
+  
+  const { shop } = keyData;
+  
+  // Parse request body
+  const body = await parseJsonBody(request);
+  const { endpoint, data, paginate } = body;
+  const method = String(body.method || 'GET').toUpperCase();
+  
+  if (!endpoint) {
     return createJsonResponse(
-      { error: ERROR_MESSAGES.MISSING_AUTH },
-      401,
+      { error: ERROR_MESSAGES.MISSING_ENDPOINT },
+      400,
       corsHeaders
     );
   }
   
-  // Verify API key
-  const keyData = await env.API_KEYS.get(`key:${apiKey}`, 'json');
-  if (!keyData) {
+  if (!isValidEndpoint(endpoint)) {
     return createJsonResponse(
-      { error: ERROR_MESSAGES.INVALID_API_KEY },
-      401,
+      { error: ERROR_MESSAGES.INVALID_ENDPOINT },
+      400,
       corsHeaders
     );
   }
   
-  const { shop, accessToken } = keyData;
+  // Opt-in: follow `Link` pagination and merge pages ({ paginate: true } or { paginate: { max_pages } })
+  if (paginate && method !== 'GET') {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.INVALID_PAGINATION },
+      400,
+      corsHeaders
+    );
+  }
+  
+  // Enforce the key's policy
+  const violation = checkKeyPolicy(keyData.policy, method, endpoint);
+  if (violation) {
+    return createJsonResponse(violation, 403, corsHeaders);
+  }
+  
+  // Proxy request to Shopify
+  try {
+    let shopifyResponse;
+    if (paginate) {
+      const requestedPages = Number(paginate.max_pages) || MAX_PAGINATION_PAGES;
+      shopifyResponse = await proxyPaginatedToShopify(
+        shop,
+        endpoint,
+        shopData.accessToken,
+        env,
+        Math.min(Math.max(1, requestedPages), MAX_PAGINATION_PAGES)
+      );
+    } else {
+      shopifyResponse = await proxyToShopify(
+        shop,
+        endpoint,
+        method,
+        data,
+        shopData.accessToken,
+        env
+      );
+    }
+    
+    // A 401 from Shopify means the token we sent was revoked, not the caller's key
+    if (shopifyResponse.status === 401 && !shopifyResponse.local) {
+      return await handleRejectedShopToken(request, keyData, env, corsHeaders);
+    }
+    
+    const responseHeaders = {
+      ...corsHeaders,
+      ...getForwardedShopifyHeaders(shopifyResponse.headers),
+      ...shopifyResponse.rateLimitHeaders,
+      ...getPaginationHeaders(shopifyResponse.headers.get('Link')),
+    };
+    
+    const shopifyError = getShopifyError(shopifyResponse);
+    if (shopifyError) {
+      return createJsonResponse(
+        addMissingScopes(shopifyError, request, shop, shopData, env),
+        shopifyResponse.status,
+        responseHeaders
+      );
+    }
+    
+    if (shopifyResponse.pages) {
+      // Merged results only continue forward from the last page fetched
+      delete responseHeaders['X-Page-Info-Previous'];
+      responseHeaders['X-Pages-Fetched'] = String(shopifyResponse.pages);
+      return createJsonResponse(shopifyResponse.data, shopifyResponse.status, responseHeaders);
+    }
+    
+    // Pass Shopify's body through untouched (JSON, empty 204s, files)
+    return createRawResponse(
+      shopifyResponse.body,
+      shopifyResponse.status,
+      shopifyResponse.contentType,
+      responseHeaders
+    );
+  } catch (error) {
+    console.error('Proxy error:', error);
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.FAILED_PROXY, details: error.message },
+      500,
+      corsHeaders
+    );
+  }
+}
+
+// GraphQL Proxy Handler
+async function handleGraphQLProxy(request, env, corsHeaders) {
+  const { response, keyData, shopData } = await authenticateProxyRequest(request, env, corsHeaders);
+  if (response) {
+    return response;
+  }
+  
+  const { shop } = keyData;
   
   // Parse request body
   const body = await parseJsonBody(request);
-  const { endpoint, method = 'GET', data } = body;
-  
-  if (!endpoint) {
+  if (!isValidGraphQLRequest(body)) {
     return createJsonResponse(
-      { error: ERROR_MESSAGES.MISSING_ENDPOINT },
+      { error: ERROR_MESSAGES.INVALID_GRAPHQL_REQUEST },
       400,
       corsHeaders
     );
   }
   
+  // Key policies see GraphQL as /graphql.json, with queries as reads (GET) and
+  // anything else, including operations that can't be determined, as writes (POST)
+  if (keyData.policy) {
+    const operationType = getGraphQLOperationType(body.query, body.operationName);
+    const method = operationType === 'query' ? 'GET' : 'POST';
+    const violation = checkKeyPolicy(keyData.policy, method, '/graphql.json');
+    if (violation) {
+      if (violation.rule === 'methods') {
+        violation.details = `GraphQL ${operationType || 'operation'} is not allowed for this API key`;
+      }
+      return createJsonResponse(violation, 403, corsHeaders);
+    }
+  }
+  
   // Proxy request to Shopify
   try {
-    const shopifyResponse = await proxyToShopify(
+    const shopifyResponse = await proxyGraphQLToShopify(
       shop,
-      endpoint,
-      method,
-      data,
-      accessToken,
+      body,
+      shopData.accessToken,
       env
     );
     
-    return createJsonResponse(
-      shopifyResponse.data,
+    if (shopifyResponse.status === 401 && !shopifyResponse.local) {
+      return await handleRejectedShopToken(request, keyData, env, corsHeaders);
+    }
+    
+    const responseHeaders = {
+      ...corsHeaders,
+      ...getForwardedShopifyHeaders(shopifyResponse.headers),
+      ...shopifyResponse.rateLimitHeaders,
+      ...getGraphQLCostHeaders(shopifyResponse.data),
+    };
+    
+    const shopifyError = getShopifyError(shopifyResponse);
+    if (shopifyError) {
+      return createJsonResponse(
+        addMissingScopes(shopifyError, request, shop, shopData, env),
+        shopifyResponse.status,
+        responseHeaders
+      );
+    }
+    
+    return createRawResponse(
+      shopifyResponse.body,
       shopifyResponse.status,
-      corsHeaders
+      shopifyResponse.contentType,
+      responseHeaders
     );
   } catch (error) {
-    console.error('Proxy error:', error);
+    console.error('GraphQL proxy error:', error);
     return createJsonResponse(
       { error: ERROR_MESSAGES.FAILED_PROXY, details: error.message },
       500,
@@ -269,6 +1026,326 @@ async function handleAPIProxy(request, env, corsHeaders) {
   }
 }
 
+// Shop Events Handler
+// Polls (or streams with `stream=1`) the webhook events queued for the key's shop
+async function handleEvents(request, url, env, corsHeaders) {
+  const { response, keyData } = await authenticateProxyRequest(request, env, corsHeaders);
+  if (response) {
+    return response;
+  }
+  
+  const { shop, policy } = keyData;
+  const topics = url.searchParams.get('topics');
+  const topicList = topics ? topics.split(',').map(topic => topic.trim()) : null;
+  
+  // Key policies see an event as a read of its resource, e.g. products/update as GET /products.json
+  const filter = topic =>
+    (!topicList || topicList.includes(topic)) &&
+    (!policy || !checkKeyPolicy(policy, 'GET', `/${String(topic).split('/')[0]}.json`));
+  
+  const after = url.searchParams.get('after') || request.headers.get('Last-Event-ID');
+  if (!isValidEventCursor(after)) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.INVALID_EVENT_CURSOR },
+      400,
+      corsHeaders
+    );
+  }
+  
+  if (url.searchParams.get('stream') === '1') {
+    return new Response(createShopEventStream(shop, env, { after, filter }), {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  }
+  
+  const limit = Math.min(Math.max(1, Number(url.searchParams.get('limit')) || EVENT_PAGE_SIZE), EVENT_PAGE_SIZE);
+  const result = await listShopEvents(shop, env, { after, filter, limit });
+  return createJsonResponse(result, 200, corsHeaders);
+}
+
+// Embedded Admin Authentication
+// Endpoints behind the embedded admin page only accept App Bridge session tokens
+async function authenticateSessionToken(request, env) {
+  const token = extractApiKey(request);
+  return isJwt(token) ? await verifySessionToken(token, env) : null;
+}
+
+// Shop Settings for the Embedded Admin
+async function handleSettings(request, env, corsHeaders) {
+  const session = await authenticateSessionToken(request, env);
+  if (!session) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.INVALID_SESSION_TOKEN, code: ERROR_CODES.MISSING_AUTH },
+      401,
+      corsHeaders
+    );
+  }
+  
+  const { response, shopData } = await loadShopDataForApi(session.shop, env, corsHeaders);
+  if (response) {
+    return response;
+  }
+  
+  if (!shopData) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.APP_NOT_INSTALLED, code: ERROR_CODES.APP_NOT_INSTALLED },
+      403,
+      corsHeaders
+    );
+  }
+  
+  const { webhooks } = shopData;
+  return createJsonResponse(
+    {
+      shop: session.shop,
+      status: shopData.status || 'active',
+      scope: shopData.scope,
+      api_version: env.SHOPIFY_API_VERSION,
+      installed_at: shopData.installedAt,
+      webhooks: webhooks
+        ? { status: webhooks.status, synced_at: webhooks.syncedAt, topics: webhooks.topics, errors: webhooks.errors }
+        : null,
+    },
+    200,
+    corsHeaders
+  );
+}
+
+// Key Management Authentication
+// Merchants manage every key of their shop from the embedded admin using an App
+// Bridge session token, while an extension key can only see and manage itself.
+async function authenticateKeyManagement(request, env) {
+  const token = extractApiKey(request);
+  if (!token) {
+    return null;
+  }
+  
+  if (isJwt(token)) {
+    const session = await verifySessionToken(token, env);
+    return session ? { shop: session.shop, session } : null;
+  }
+  
+  const record = await getApiKey(token, env);
+  return record ? { shop: record.shop, apiKey: token, record } : null;
+}
+
+// List API Keys
+async function handleListKeys(request, env, corsHeaders) {
+  const auth = await authenticateKeyManagement(request, env);
+  if (!auth) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.MISSING_AUTH },
+      401,
+      corsHeaders
+    );
+  }
+  
+  const keys = auth.session
+    ? await listApiKeys(auth.shop, env)
+    : [describeApiKey(auth.record)];
+  
+  return createJsonResponse(
+    {
+      shop: auth.shop,
+      keys,
+      current_key_id: auth.record ? auth.record.id : null,
+    },
+    200,
+    corsHeaders
+  );
+}
+
+// Revoke One or All API Keys
+async function handleRevokeKeys(request, env, corsHeaders) {
+  const auth = await authenticateKeyManagement(request, env);
+  if (!auth) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.MISSING_AUTH },
+      401,
+      corsHeaders
+    );
+  }
+  
+  const body = await parseJsonBody(request);
+  const { key_id: keyId, all } = body;
+  
+  // Extension keys may only revoke themselves
+  if (auth.record) {
+    if (all || (keyId && keyId !== auth.record.id)) {
+      return createJsonResponse(
+        { error: ERROR_MESSAGES.API_KEY_SELF_ONLY },
+        403,
+        corsHeaders
+      );
+    }
+    
+    await revokeApiKey(auth.shop, auth.record.id, env);
+    return createJsonResponse({ success: true, revoked: 1 }, 200, corsHeaders);
+  }
+  
+  if (all) {
+    const revoked = await revokeAllApiKeys(auth.shop, env);
+    return createJsonResponse({ success: true, revoked }, 200, corsHeaders);
+  }
+  
+  if (!keyId || !(await revokeApiKey(auth.shop, keyId, env))) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.API_KEY_NOT_FOUND },
+      404,
+      corsHeaders
+    );
+  }
+  
+  return createJsonResponse({ success: true, revoked: 1 }, 200, corsHeaders);
+}
+
+// Rotate the Calling API Key
+async function handleRotateKey(request, env, corsHeaders) {
+  const auth = await authenticateKeyManagement(request, env);
+  if (!auth) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.MISSING_AUTH },
+      401,
+      corsHeaders
+    );
+  }
+  
+  // A replacement key is only useful to the extension that will hold it
+  if (!auth.record) {
+    return createJsonResponse(
+      { error: ERROR_MESSAGES.SESSION_TOKEN_ROTATE },
+      403,
+      corsHeaders
+    );
+  }
+  
+  const { apiKey, keyId } = await rotateApiKey(auth.apiKey, auth.record, env);
+  
+  return createJsonResponse(
+    { success: true, api_key: apiKey, key_id: keyId, shop: auth.shop },
+    200,
+    corsHeaders
+  );
+}
+
+// Admin Authorization
+// Operator endpoints are disabled unless the ADMIN_API_TOKEN secret is set
+function authorizeAdminRequest(request, env) {
+  if (!env.ADMIN_API_TOKEN) {
+    return false;
+  }
+  
+  const token = extractApiKey(request);
+  return !!token && timingSafeEqual(token, env.ADMIN_API_TOKEN);
+}
+
+// API Key Record Migration
+async function handleApiKeyMigration(request, url, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const result = await migrateApiKeyRecords(env, url.searchParams.get('cursor'));
+  return createJsonResponse(result, 200);
+}
+
+// Shop Token Encryption Migration
+async function handleShopTokenMigration(request, url, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const result = await migrateShopTokens(env, url.searchParams.get('cursor'));
+  return createJsonResponse(result, 200);
+}
+
+// Last Scheduled Maintenance Report
+async function handleMaintenanceReport(request, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const report = await getMaintenanceReport(env);
+  return createJsonResponse(report || { error: ERROR_MESSAGES.NO_MAINTENANCE_REPORT }, report ? 200 : 404);
+}
+
+// Webhook Subscription Reconciliation
+// Syncs a single shop (`shop`), or pages through every shop that needs it
+async function handleWebhookReconcile(request, url, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const shop = url.searchParams.get('shop');
+  if (shop) {
+    if (!isValidShopDomain(shop)) {
+      throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+    }
+    
+    const shopData = await getShopData(shop, env);
+    if (!shopData) {
+      return createJsonResponse({ error: ERROR_MESSAGES.APP_NOT_INSTALLED }, 404);
+    }
+    
+    const outcome = await syncWebhooks(shop, shopData.accessToken, env);
+    return createJsonResponse(outcome, 200);
+  }
+  
+  const result = await reconcileWebhooks(env, {
+    cursor: url.searchParams.get('cursor'),
+    force: url.searchParams.get('force') === '1',
+  });
+  return createJsonResponse(result, 200);
+}
+
+// Compliance Request Status
+// Lists a shop's GDPR requests, or returns one in full when `id` is given
+async function handleComplianceRequests(request, url, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const shop = url.searchParams.get('shop');
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  const requestId = url.searchParams.get('id');
+  if (!requestId) {
+    const result = await listComplianceRequests(shop, env, url.searchParams.get('cursor'));
+    return createJsonResponse(result, 200);
+  }
+  
+  const record = await getComplianceRequest(shop, requestId, env);
+  if (!record) {
+    return createJsonResponse({ error: ERROR_MESSAGES.COMPLIANCE_REQUEST_NOT_FOUND }, 404);
+  }
+  return createJsonResponse(record, 200);
+}
+
+// Customer Data Request Export
+async function handleComplianceExport(request, url, env) {
+  if (!authorizeAdminRequest(request, env)) {
+    throw new AuthenticationError(ERROR_MESSAGES.MISSING_AUTH);
+  }
+  
+  const shop = url.searchParams.get('shop');
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  const exported = await getComplianceExport(shop, url.searchParams.get('id'), env);
+  if (!exported) {
+    return createJsonResponse({ error: ERROR_MESSAGES.COMPLIANCE_EXPORT_NOT_FOUND }, 404);
+  }
+  return createJsonResponse(exported, 200);
+}
+
 // Webhook Handlers
 async function handleWebhook(request, env, topic) {
   // Verify webhook authenticity
@@ -281,35 +1358,79 @@ async function handleWebhook(request, env, topic) {
     throw new AuthenticationError(ERROR_MESSAGES.INVALID_WEBHOOK, 401);
   }
   
+  // Acknowledge retries and replays of deliveries that were already handled
+  const { webhookId, duplicate } = await checkWebhookDelivery(request, env);
+  if (duplicate) {
+    console.log(`Duplicate webhook ${webhookId} (${topic}) acknowledged`);
+    return new Response('', { status: 200 });
+  }
+  
   const data = JSON.parse(body);
   
   switch (topic) {
+    case 'app/uninstalled':
+      await handleAppUninstalled(request, data, webhookId, env);
+      break;
     case 'shop/redact':
-      await handleShopRedact(data, env);
+      await handleShopRedact(data, webhookId, env);
       break;
     case 'customers/redact':
-      await handleCustomerRedact(data, env);
-      break;
     case 'customers/data_request':
-      await handleCustomerDataRequest(data, env);
+      await handleCustomerComplianceRequest(topic, data, webhookId, env);
+      break;
+    default:
+      await handleExtensionWebhook(request, topic, data, webhookId, env);
       break;
   }
   
+  await markWebhookProcessed(webhookId, topic, request.headers.get('X-Shopify-Shop-Domain'), env);
   return new Response('', { status: 200 });
 }
 
-async function handleShopRedact(data, env) {
-  const shop = data.shop_domain;
-  if (shop) {
-    await env.SHOPS.delete(shop);
-    console.log(`Shop data deleted for: ${shop}`);
+async function handleAppUninstalled(request, data, webhookId, env) {
+  const shop = request.headers.get('X-Shopify-Shop-Domain') || data.myshopify_domain;
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  const event = await uninstallShop(shop, env, {
+    webhookId,
+    triggeredAt: request.headers.get('X-Shopify-Triggered-At'),
+  });
+  if (!event) {
+    console.log(`Ignored uninstall of ${shop} triggered before its current install`);
+    return;
   }
+  console.log(`App uninstalled from: ${shop}, revoked ${event.apiKeysRevoked} API keys`);
 }
 
-async function handleCustomerRedact(data, env) {
-  console.log('Customer redact webhook received');
+// Topics configured for extensions are queued for the shop's clients
+async function handleExtensionWebhook(request, topic, data, webhookId, env) {
+  const shop = request.headers.get('X-Shopify-Shop-Domain');
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  await enqueueShopEvent(shop, topic, webhookId, data, env);
+}
+
+async function handleShopRedact(data, webhookId, env) {
+  const shop = data.shop_domain;
+  if (!isValidShopDomain(shop)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  await env.SHOPS.delete(shop);
+  await deleteOnlineTokens(shop, env);
+  const record = await processComplianceRequest('shop/redact', data, webhookId, env);
+  console.log(`Shop data deleted for: ${shop}`, record.result);
 }
 
-async function handleCustomerDataRequest(data, env) {
-  console.log('Customer data request webhook received');
+async function handleCustomerComplianceRequest(topic, data, webhookId, env) {
+  if (!isValidShopDomain(data.shop_domain)) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_SHOP);
+  }
+  
+  const record = await processComplianceRequest(topic, data, webhookId, env);
+  console.log(`Compliance request ${record.id} (${topic}) completed for: ${data.shop_domain}`);
 }
\ No newline at end of file
@@ -0,0 +1,102 @@
+import { ERROR_MESSAGES } from './constants.js';
+
+// API Key Policies
+//
+// A policy narrows what an extension key may do through /api/proxy:
+//   { methods: ['GET'], paths: ['/products*', '/orders*'] }
+// `read_only: true` (or the 'read_only' shorthand) limits methods to GET. Paths
+// are matched against the endpoint without its query string, `*` matches any
+// run of characters. A key without a policy keeps the shop's full OAuth scopes.
+
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_POLICY_PATHS = 20;
+
+// Validate and normalize a requested policy
+// Returns { policy } on success, or { error } describing the problem
+export function normalizeKeyPolicy(input) {
+  if (input === undefined || input === null) {
+    return { policy: null };
+  }
+  
+  const requested = input === 'read_only' ? { read_only: true } : input;
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: 'Policy must be an object or "read_only"' };
+  }
+  
+  const policy = {};
+  
+  if (requested.methods !== undefined) {
+    if (!Array.isArray(requested.methods) || requested.methods.length === 0) {
+      return { error: 'methods must be a non-empty array' };
+    }
+    
+    const methods = [...new Set(requested.methods.map(method => String(method).toUpperCase()))];
+    const unknown = methods.filter(method => !ALLOWED_METHODS.includes(method));
+    if (unknown.length > 0) {
+      return { error: `Unsupported methods: ${unknown.join(', ')}` };
+    }
+    policy.methods = methods;
+  }
+  
+  if (requested.read_only) {
+    policy.methods = (policy.methods || ['GET']).filter(method => method === 'GET');
+    if (policy.methods.length === 0) {
+      return { error: 'read_only conflicts with the requested methods' };
+    }
+  }
+  
+  if (requested.paths !== undefined) {
+    if (!Array.isArray(requested.paths) || requested.paths.length === 0) {
+      return { error: 'paths must be a non-empty array' };
+    }
+    if (requested.paths.length > MAX_POLICY_PATHS) {
+      return { error: `At most ${MAX_POLICY_PATHS} paths are allowed` };
+    }
+    
+    const invalid = requested.paths.filter(path => typeof path !== 'string' || !path.startsWith('/'));
+    if (invalid.length > 0) {
+      return { error: 'paths must be strings starting with "/"' };
+    }
+    policy.paths = [...new Set(requested.paths)];
+  }
+  
+  return { policy: Object.keys(policy).length > 0 ? policy : null };
+}
+
+// Convert a path pattern to an anchored regular expression
+function pathPatternToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Check a request against a key policy
+// Returns null when allowed, or a description of the violated rule
+export function checkKeyPolicy(policy, method, endpoint) {
+  if (!policy) {
+    return null;
+  }
+  
+  if (policy.methods && !policy.methods.includes(method)) {
+    return {
+      error: ERROR_MESSAGES.KEY_POLICY_VIOLATION,
+      rule: 'methods',
+      allowed: policy.methods,
+      details: `Method ${method} is not allowed for this API key`,
+    };
+  }
+  
+  const path = endpoint.split('?')[0];
+  if (policy.paths && !policy.paths.some(pattern => pathPatternToRegExp(pattern).test(path))) {
+    return {
+      error: ERROR_MESSAGES.KEY_POLICY_VIOLATION,
+      rule: 'paths',
+      allowed: policy.paths,
+      details: `Endpoint ${path} is not allowed for this API key`,
+    };
+  }
+  
+  return null;
+}
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { STATE_TTL_SECONDS, OAUTH_CLOCK_SKEW_SECONDS } from './constants.js';
+import { timingSafeEqual } from './hmac.js';
+import { base64UrlEncode, sha256Base64Url } from './utils.js';
+
+// OAuth State Binding
+//
+// `/auth` keeps only a SHA-256 challenge of a random nonce with the state and
+// hands the nonce to the browser in a signed, HttpOnly cookie named after the
+// state. The callback only completes in the browser holding that cookie, so a
+// leaked state value can't be finished anywhere else.
+
+const COOKIE_PREFIX = '__Host-oauth_';
+
+// State Format Validation (the UUIDs `/auth` generates)
+// States end up in cookie names, so nothing else may reach a Set-Cookie header
+export function isValidState(state) {
+  return typeof state === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(state);
+}
+
+function getCookieName(state) {
+  return `${COOKIE_PREFIX}${state}`;
+}
+
+// SameSite=Lax still sends the cookie on Shopify's top-level redirect back
+function serializeCookie(name, value, maxAge) {
+  return `${name}=${value}; Max-Age=${maxAge}; Path=/; HttpOnly; Secure; SameSite=Lax`;
+}
+
+// Sign the nonce together with its state so a cookie can't be moved to another state
+async function signNonce(state, nonce, env) {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.SHOPIFY_API_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(`${state}.${nonce}`));
+  return base64UrlEncode(signature);
+}
+
+// Create the nonce for a new state
+// Returns the challenge to store with the state and the Set-Cookie header value
+export async function createStateNonce(state, env) {
+  const nonce = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const signature = await signNonce(state, nonce, env);
+  
+  return {
+    nonceChallenge: await sha256Base64Url(nonce),
+    cookie: serializeCookie(getCookieName(state), `${nonce}.${signature}`, STATE_TTL_SECONDS),
+  };
+}
+
+// Check the callback request carries the cookie set for this state
+export async function verifyStateNonce(request, state, nonceChallenge, env) {
+  if (!nonceChallenge) {
+    return false;
+  }
+  
+  const name = getCookieName(state);
+  const cookie = (request.headers.get('Cookie') || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .find(entry => entry.startsWith(`${name}=`));
+  if (!cookie) {
+    return false;
+  }
+  
+  const [nonce, signature] = cookie.substring(name.length + 1).split('.');
+  if (!nonce || !signature) {
+    return false;
+  }
+  
+  const expected = await signNonce(state, nonce, env);
+  if (!timingSafeEqual(signature, expected)) {
+    return false;
+  }
+  
+  return timingSafeEqual(await sha256Base64Url(nonce), nonceChallenge);
+}
+
+// Set-Cookie header value removing the state's cookie once the callback ran
+export function clearStateNonce(state) {
+  return serializeCookie(getCookieName(state), '', 0);
+}
+
+// Shopify signs a `timestamp` into the callback; reject ones older than a state
+// can live, or too far in the future
+export function isFreshCallbackTimestamp(timestamp) {
+  const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+  return Number.isFinite(age) && age <= STATE_TTL_SECONDS && age >= -OAUTH_CLOCK_SKEW_SECONDS;
+}
\ No newline at end of file
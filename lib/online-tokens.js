@@ -0,0 +1,120 @@
+import {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  isEncryptedEnvelope,
+  isCurrentKeyVersion
+} from './encryption.js';
+import { deleteByPrefix } from './utils.js';
+
+// Online (Per-User) Access Tokens
+//
+// Online tokens act as the staff member who authorized them, so Shopify applies
+// that account's permissions and attributes their changes to them in the audit
+// log. They are stored in SHOPS as `online:<shop>:<userId>` next to the shop's
+// offline record, encrypted the same way, and expire together with the token.
+// Re-wrapping them for a rotated key keeps that expiration.
+
+const ONLINE_TOKEN_PREFIX = 'online:';
+
+function onlineTokenPrefix(shop) {
+  return `${ONLINE_TOKEN_PREFIX}${shop}:`;
+}
+
+function onlineTokenKey(shop, userId) {
+  return `${onlineTokenPrefix(shop)}${userId}`;
+}
+
+// KV put options expiring the record with its token
+// KV expirations must be at least 60 seconds out
+function expirationOptions(expiresAt) {
+  return { expiration: Math.max(Math.floor(Date.parse(expiresAt) / 1000), Math.floor(Date.now() / 1000) + 60) };
+}
+
+function isExpired(record) {
+  return Date.parse(record.expiresAt) <= Date.now();
+}
+
+// Bring a stored token up to the current encryption key version
+// Returns the updated record, or null when it is already current
+async function upgradeOnlineTokenRecord(record, env) {
+  if (!isEncryptedEnvelope(record.encryptedAccessToken) ||
+      isCurrentKeyVersion(record.encryptedAccessToken, env)) {
+    return null;
+  }
+  return { ...record, encryptedAccessToken: await rewrapSecret(record.encryptedAccessToken, env) };
+}
+
+// Whether a SHOPS key holds an online token rather than a shop record
+export function isOnlineTokenKey(name) {
+  return name.startsWith(ONLINE_TOKEN_PREFIX);
+}
+
+// Store an Online Token, returning the id of the staff member it belongs to
+export async function storeOnlineToken(shop, tokenData, env) {
+  const userId = String(tokenData.associated_user.id);
+  const expiresAt = new Date(Date.now() + (tokenData.expires_in || 86400) * 1000).toISOString();
+  
+  await env.SHOPS.put(
+    onlineTokenKey(shop, userId),
+    JSON.stringify({
+      encryptedAccessToken: await encryptSecret(tokenData.access_token, env),
+      scope: tokenData.scope,
+      associatedUser: tokenData.associated_user,
+      associatedUserScope: tokenData.associated_user_scope,
+      expiresAt,
+    }),
+    expirationOptions(expiresAt)
+  );
+  
+  return userId;
+}
+
+// Load a Staff Member's Online Token, or null once it has expired
+export async function getOnlineToken(shop, userId, env) {
+  const key = onlineTokenKey(shop, userId);
+  let record = await env.SHOPS.get(key, 'json');
+  if (!record || isExpired(record)) {
+    return null;
+  }
+  
+  // Re-wrap tokens stored under a rotated key version on read
+  const upgraded = await upgradeOnlineTokenRecord(record, env);
+  if (upgraded) {
+    await env.SHOPS.put(key, JSON.stringify(upgraded), expirationOptions(upgraded.expiresAt));
+    record = upgraded;
+  }
+  
+  const { encryptedAccessToken, ...rest } = record;
+  return {
+    ...rest,
+    accessToken: await decryptSecret(encryptedAccessToken, env),
+  };
+}
+
+// Migrate a Stored Online Token to the current encryption key version
+// Returns whether the token was re-wrapped
+export async function migrateOnlineToken(name, env) {
+  const record = await env.SHOPS.get(name, 'json');
+  if (!record || isExpired(record)) {
+    return false;
+  }
+  
+  const upgraded = await upgradeOnlineTokenRecord(record, env);
+  if (!upgraded) {
+    return false;
+  }
+  
+  await env.SHOPS.put(name, JSON.stringify(upgraded), expirationOptions(upgraded.expiresAt));
+  return true;
+}
+
+// Drop a Staff Member's Online Token
+export async function deleteOnlineToken(shop, userId, env) {
+  await env.SHOPS.delete(onlineTokenKey(shop, userId));
+}
+
+// Drop Every Online Token of a Shop
+export async function deleteOnlineTokens(shop, env) {
+  return await deleteByPrefix(env.SHOPS, onlineTokenPrefix(shop));
+}
\ No newline at end of file
@@ -0,0 +1,295 @@
+import {
+  ERROR_MESSAGES,
+  RATE_LIMIT_MAX_WAIT_MS,
+  RATE_LIMIT_MAX_RETRIES,
+  GRAPHQL_MIN_AVAILABLE_POINTS
+} from './constants.js';
+
+// Shopify Rate Limit Tracking
+//
+// Keeps an estimate of each shop's Shopify rate limit buckets so requests queue
+// in the worker instead of hitting Shopify and bouncing off 429s. REST uses a
+// leaky bucket reported by `X-Shopify-Shop-Api-Call-Limit`; GraphQL uses the
+// cost-based throttle reported in `extensions.cost.throttleStatus`.
+//
+// Each shop's buckets live in a ShopRateLimiter Durable Object (the RATE_LIMITER
+// binding) keyed by the shop, so every isolate serving the shop reserves
+// capacity from the same state. Requests wait in the isolate that sends them;
+// the object only keeps the books.
+
+// Response headers describing the shop's rate limit state
+export const RATE_LIMIT_HEADERS = [
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Retry-After',
+];
+
+const DEFAULT_REST_CAPACITY = 40;
+
+function createShopState() {
+  return {
+    rest: { used: 0, capacity: DEFAULT_REST_CAPACITY, updatedAt: Date.now() },
+    graphql: null,
+    blockedUntil: 0,
+  };
+}
+
+// REST buckets leak at 1/20th of their capacity per second (2/s standard, 20/s Plus)
+function restLeakRate(bucket) {
+  return bucket.capacity / 20;
+}
+
+// Current REST bucket fill after leaking since the last update
+function currentRestUsage(bucket, now) {
+  const leaked = ((now - bucket.updatedAt) / 1000) * restLeakRate(bucket);
+  return Math.max(0, bucket.used - leaked);
+}
+
+// Currently available GraphQL points after restoring since the last update
+function currentGraphQLAvailable(bucket, now) {
+  const restored = ((now - bucket.updatedAt) / 1000) * bucket.restoreRate;
+  return Math.min(bucket.maximum, bucket.available + restored);
+}
+
+// Reserve capacity for a request, returning how long to wait before sending it (ms)
+function reserve(state, type, now) {
+  let delay = Math.max(0, state.blockedUntil - now);
+  
+  if (type === 'rest') {
+    const bucket = state.rest;
+    const used = currentRestUsage(bucket, now) + 1;
+    bucket.used = used;
+    bucket.updatedAt = now;
+    if (used > bucket.capacity) {
+      delay = Math.max(delay, ((used - bucket.capacity) / restLeakRate(bucket)) * 1000);
+    }
+  } else if (state.graphql && state.graphql.restoreRate > 0) {
+    const bucket = state.graphql;
+    const available = currentGraphQLAvailable(bucket, now) - GRAPHQL_MIN_AVAILABLE_POINTS;
+    bucket.available = available;
+    bucket.updatedAt = now;
+    if (available < 0) {
+      delay = Math.max(delay, (-available / bucket.restoreRate) * 1000);
+    }
+  }
+  
+  return Math.ceil(delay);
+}
+
+// Give back a reservation for a request that was never sent
+function release(state, type) {
+  if (type === 'rest') {
+    state.rest.used = Math.max(0, state.rest.used - 1);
+  } else if (state.graphql) {
+    state.graphql.available += GRAPHQL_MIN_AVAILABLE_POINTS;
+  }
+}
+
+// Bucket state reported by a Shopify response, or null when it reports none
+function observeBucket(type, result) {
+  if (type === 'rest') {
+    const callLimit = result.headers.get('X-Shopify-Shop-Api-Call-Limit');
+    const match = callLimit && callLimit.match(/^(\d+)\/(\d+)$/);
+    return match ? { used: Number(match[1]), capacity: Number(match[2]) } : null;
+  }
+  
+  const cost = result.data && result.data.extensions && result.data.extensions.cost;
+  if (!cost || !cost.throttleStatus) {
+    return null;
+  }
+  return {
+    available: cost.throttleStatus.currentlyAvailable,
+    maximum: cost.throttleStatus.maximumAvailable,
+    restoreRate: cost.throttleStatus.restoreRate,
+  };
+}
+
+// Learn the real bucket state observed in a Shopify response
+function record(state, type, observed, now) {
+  if (observed) {
+    state[type] = { ...observed, updatedAt: now };
+  }
+}
+
+// Seconds Shopify asked us to wait, or null when the request wasn't throttled
+function getThrottleDelay(type, result) {
+  if (result.status === 429) {
+    const retryAfter = parseFloat(result.headers.get('Retry-After'));
+    return Number.isFinite(retryAfter) ? retryAfter : 1;
+  }
+  
+  // GraphQL reports throttling as a 200 with a THROTTLED error
+  if (type === 'graphql' && result.data && Array.isArray(result.data.errors) &&
+      result.data.errors.some(error => error.extensions && error.extensions.code === 'THROTTLED')) {
+    const cost = result.data.extensions && result.data.extensions.cost;
+    if (cost && cost.throttleStatus && cost.throttleStatus.restoreRate) {
+      const missing = cost.requestedQueryCost - cost.throttleStatus.currentlyAvailable;
+      return Math.max(1, missing / cost.throttleStatus.restoreRate);
+    }
+    return 1;
+  }
+  
+  return null;
+}
+
+// Standardized rate limit headers for clients
+function buildRateLimitHeaders(state, type, now, retryAfterSeconds = null) {
+  let limit;
+  let remaining;
+  let reset;
+  
+  if (type === 'rest') {
+    const bucket = state.rest;
+    const used = currentRestUsage(bucket, now);
+    limit = bucket.capacity;
+    remaining = Math.max(0, Math.floor(bucket.capacity - used));
+    reset = Math.ceil(used / restLeakRate(bucket));
+  } else if (state.graphql && state.graphql.restoreRate > 0) {
+    const bucket = state.graphql;
+    const available = currentGraphQLAvailable(bucket, now);
+    limit = bucket.maximum;
+    remaining = Math.max(0, Math.floor(available));
+    reset = Math.ceil((bucket.maximum - available) / bucket.restoreRate);
+  } else {
+    return {};
+  }
+  
+  const headers = {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(Math.max(0, reset)),
+  };
+  if (retryAfterSeconds !== null) {
+    headers['Retry-After'] = String(Math.ceil(retryAfterSeconds));
+  }
+  return headers;
+}
+
+// Shop Rate Limiter Durable Object
+//
+// One instance per shop (`idFromName(shop)`). It answers POSTs whose JSON body
+// names an `action`:
+// - `reserve`: reserve capacity for a request, resolving to the `delay` (ms) to
+//   wait before sending it
+// - `release`: give back a reservation for a request that won't be sent
+// - `record`: learn the bucket state a Shopify response reported; a request
+//   Shopify throttled gives its reservation back and blocks the shop for
+//   `throttleDelay` seconds
+// `release` and `record` answer with the `rateLimitHeaders` for the client.
+// State is kept in memory only: an evicted object relearns it from Shopify's
+// next response.
+export class ShopRateLimiter {
+  constructor(ctx, env) {
+    this.state = createShopState();
+  }
+  
+  async fetch(request) {
+    const { action, type, observed = null, throttleDelay = null, retryAfter = null } = await request.json();
+    const state = this.state;
+    const now = Date.now();
+    
+    if (action === 'reserve') {
+      return Response.json({ delay: reserve(state, type, now) });
+    }
+    
+    if (action === 'release') {
+      release(state, type);
+      return Response.json({ rateLimitHeaders: buildRateLimitHeaders(state, type, now, retryAfter) });
+    }
+    
+    if (action === 'record') {
+      // A throttled request used no capacity, so its reservation goes back before
+      // the retry reserves again
+      if (throttleDelay !== null) {
+        release(state, type);
+        state.blockedUntil = Math.max(state.blockedUntil, now + throttleDelay * 1000);
+      }
+      record(state, type, observed, now);
+      return Response.json({ rateLimitHeaders: buildRateLimitHeaders(state, type, now, throttleDelay) });
+    }
+    
+    return Response.json({ error: `Unknown action: ${action}` }, { status: 400 });
+  }
+}
+
+// Send an action to the shop's rate limiter object
+//
+// Resolves to null when the object can't be reached, in which case requests go
+// out unthrottled rather than failing.
+async function callShopLimiter(shop, env, body) {
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(shop));
+    const response = await stub.fetch('https://rate-limiter/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter answered ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`Rate limiter unavailable for ${shop}:`, error);
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send a Shopify request through the shop's rate limiter
+//
+// `send` performs the request and resolves to { status, headers, data }. Requests
+// are delayed while the shop's bucket is full and retried after Shopify throttles
+// them, for at most RATE_LIMIT_MAX_WAIT_MS in total. The result gains
+// `rateLimitHeaders` to pass on to the client.
+export async function scheduleShopifyRequest(shop, type, env, send) {
+  let waited = 0;
+  let attempts = 0;
+  
+  while (true) {
+    const reservation = await callShopLimiter(shop, env, { action: 'reserve', type });
+    const delay = reservation ? reservation.delay : 0;
+    
+    // Too far behind to wait it out here, let the client retry later
+    if (waited + delay > RATE_LIMIT_MAX_WAIT_MS) {
+      const released = await callShopLimiter(shop, env, { action: 'release', type, retryAfter: delay / 1000 });
+      return {
+        status: 429,
+        headers: new Headers(),
+        data: { error: ERROR_MESSAGES.RATE_LIMITED, status: 429 },
+        body: null,
+        local: true,
+        rateLimitHeaders: released ? released.rateLimitHeaders : {},
+      };
+    }
+    
+    if (delay > 0) {
+      await sleep(delay);
+      waited += delay;
+    }
+    
+    const result = await send();
+    attempts++;
+    
+    const throttleDelay = getThrottleDelay(type, result);
+    const recorded = await callShopLimiter(shop, env, {
+      action: 'record',
+      type,
+      observed: observeBucket(type, result),
+      throttleDelay,
+    });
+    const rateLimitHeaders = recorded ? recorded.rateLimitHeaders : {};
+    
+    if (throttleDelay === null) {
+      return { ...result, rateLimitHeaders };
+    }
+    
+    // Give up and report Shopify's answer when retrying would take too long
+    if (attempts > RATE_LIMIT_MAX_RETRIES || waited + throttleDelay * 1000 > RATE_LIMIT_MAX_WAIT_MS) {
+      return { ...result, rateLimitHeaders };
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,184 @@
+import { MAINTENANCE_SHOPS_PER_RUN } from './constants.js';
+import { isValidShopDomain } from './validation.js';
+import {
+  getShopData,
+  updateShopRecord,
+  markShopNeedsReauth,
+  needsReauth,
+  reconcileWebhooks,
+  proxyToShopify
+} from './shopify.js';
+import { listApiKeyShops, revokeAllApiKeys } from './api-keys.js';
+
+// Scheduled Maintenance
+//
+// Runs from the Cron Trigger configured in wrangler.toml. Every job only takes
+// `env` and talks to Shopify through the global fetch, so each one can be run
+// on its own against mocked KV namespaces and fetch. Jobs return stats that are
+// combined into a report, logged and kept in EVENTS as `maintenance:last`.
+//
+// Jobs that walk SHOPS or the API key index look at MAINTENANCE_SHOPS_PER_RUN
+// shops per run, so a run stays within the Workers subrequest and CPU limits
+// however many shops are installed. Where a job stopped is kept in EVENTS as
+// `maintenance:cursor:<job>` and the next run continues from there; `complete`
+// in its stats tells whether the run reached the end of the listing.
+
+const MAINTENANCE_REPORT_KEY = 'maintenance:last';
+
+function jobCursorKey(job) {
+  return `maintenance:cursor:${job}`;
+}
+
+// Listing cursor a job stopped at in its previous run
+async function loadJobCursor(job, env) {
+  return await env.EVENTS.get(jobCursorKey(job));
+}
+
+// Remember where a job stopped, or start over next run once it reached the end
+async function saveJobCursor(job, cursor, env) {
+  if (cursor) {
+    await env.EVENTS.put(jobCursorKey(job), cursor);
+  } else {
+    await env.EVENTS.delete(jobCursorKey(job));
+  }
+}
+
+// Call `callback(shop)` for the next batch of installed shops
+// Returns whether the batch reached the end of SHOPS
+async function forEachShop(env, job, callback) {
+  let cursor = await loadJobCursor(job, env);
+  let remaining = MAINTENANCE_SHOPS_PER_RUN;
+  
+  do {
+    const page = await env.SHOPS.list({ cursor: cursor || undefined, limit: remaining });
+    remaining -= page.keys.length;
+    for (const key of page.keys) {
+      if (isValidShopDomain(key.name)) {
+        await callback(key.name);
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && remaining > 0);
+  
+  await saveJobCursor(job, cursor, env);
+  return !cursor;
+}
+
+// Re-validate Each Shop's Access Token
+// Tokens Shopify answers with 401 are flagged so the merchant is sent through OAuth again
+export async function validateShopTokens(env) {
+  const stats = { checked: 0, valid: 0, needsReauth: 0, errors: 0 };
+  
+  stats.complete = await forEachShop(env, 'validateShopTokens', async shop => {
+    try {
+      const shopData = await getShopData(shop, env);
+      if (!shopData) return;
+      if (needsReauth(shopData)) {
+        stats.needsReauth++;
+        return;
+      }
+      
+      stats.checked++;
+      const result = await proxyToShopify(shop, '/shop.json?fields=id', 'GET', null, shopData.accessToken, env);
+      
+      if (result.status === 401) {
+        await markShopNeedsReauth(shop, 'token_rejected', env);
+        stats.needsReauth++;
+      } else if (result.status < 400) {
+        await updateShopRecord(shop, { tokenValidatedAt: new Date().toISOString() }, env);
+        stats.valid++;
+      } else {
+        // Throttled, frozen or closed shops are checked again next run
+        stats.errors++;
+      }
+    } catch (error) {
+      console.error(`Token validation failed for ${shop}:`, error);
+      stats.errors++;
+    }
+  });
+  
+  return stats;
+}
+
+// Re-sync Webhook Subscriptions of Failed or Drifted Shops
+export async function reconcileShopWebhooks(env) {
+  const stats = { scanned: 0, synced: 0, failed: 0 };
+  let cursor = await loadJobCursor('reconcileShopWebhooks', env);
+  
+  do {
+    const page = await reconcileWebhooks(env, { cursor });
+    stats.scanned += page.scanned;
+    stats.synced += page.synced;
+    stats.failed += page.failed.length;
+    cursor = page.cursor;
+  } while (cursor && stats.scanned < MAINTENANCE_SHOPS_PER_RUN);
+  
+  await saveJobCursor('reconcileShopWebhooks', cursor, env);
+  stats.complete = !cursor;
+  return stats;
+}
+
+// Revoke API Keys Whose Shop Is Gone
+// Keys of shops waiting for reauthorization are kept, the shop record still exists
+export async function pruneOrphanedApiKeys(env) {
+  const stats = { shops: 0, orphanedShops: 0, revoked: 0 };
+  const seen = new Set();
+  let cursor = await loadJobCursor('pruneOrphanedApiKeys', env);
+  
+  // Each index entry names at most one new shop, so a page of the remaining
+  // count can't overshoot the cap
+  do {
+    const page = await listApiKeyShops(env, { cursor, limit: MAINTENANCE_SHOPS_PER_RUN - seen.size });
+    for (const shop of page.shops) {
+      if (seen.has(shop)) continue;
+      seen.add(shop);
+      
+      stats.shops++;
+      if (await env.SHOPS.get(shop) === null) {
+        stats.orphanedShops++;
+        stats.revoked += await revokeAllApiKeys(shop, env);
+      }
+    }
+    cursor = page.cursor;
+  } while (cursor && seen.size < MAINTENANCE_SHOPS_PER_RUN);
+  
+  await saveJobCursor('pruneOrphanedApiKeys', cursor, env);
+  stats.complete = !cursor;
+  return stats;
+}
+
+export const SCHEDULED_JOBS = {
+  validateShopTokens,
+  reconcileShopWebhooks,
+  pruneOrphanedApiKeys,
+};
+
+// Run Every Job
+// A failing job is recorded in the report without stopping the others
+export async function runScheduledJobs(env, event = {}) {
+  const startedAt = Date.now();
+  const report = {
+    cron: event.cron || null,
+    startedAt: new Date(startedAt).toISOString(),
+    jobs: {},
+  };
+  
+  for (const [name, job] of Object.entries(SCHEDULED_JOBS)) {
+    try {
+      report.jobs[name] = { status: 'ok', ...(await job(env)) };
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+      report.jobs[name] = { status: 'failed', error: error.message };
+    }
+  }
+  
+  report.durationMs = Date.now() - startedAt;
+  console.log('Scheduled maintenance report:', JSON.stringify(report));
+  await env.EVENTS.put(MAINTENANCE_REPORT_KEY, JSON.stringify(report));
+  return report;
+}
+
+// Last Maintenance Report
+export async function getMaintenanceReport(env) {
+  return await env.EVENTS.get(MAINTENANCE_REPORT_KEY, 'json');
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+// Access Scope Comparison
+//
+// Shopify reports granted scopes as a comma separated list in which a write_
+// scope implies the matching read_ scope, so `write_products` alone also covers
+// a required `read_products`.
+
+// Split a comma separated scope list
+export function parseScopes(scope) {
+  return String(scope || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+// Required scopes the granted ones don't cover, in the order they are required
+export function getMissingScopes(grantedScope, requiredScope) {
+  const granted = new Set(parseScopes(grantedScope));
+  
+  return parseScopes(requiredScope).filter(scope => {
+    if (granted.has(scope)) {
+      return false;
+    }
+    
+    const implied = /^(unauthenticated_)?read_(.+)$/.exec(scope);
+    return !(implied && granted.has(`${implied[1] || ''}write_${implied[2]}`));
+  });
+}
\ No newline at end of file
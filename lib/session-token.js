@@ -0,0 +1,78 @@
+import { SESSION_TOKEN_LEEWAY_SECONDS } from './constants.js';
+import { timingSafeEqual } from './hmac.js';
+import { base64UrlEncode, base64UrlDecode } from './utils.js';
+import { isValidShopDomain } from './validation.js';
+
+// App Bridge Session Token Verification
+//
+// Session tokens are HS256 JWTs signed with the app secret. Returns the decoded
+// payload with the shop domain taken from `dest`, or null if the token is invalid.
+export async function verifySessionToken(token, env) {
+  try {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+    
+    const [encodedHeader, encodedPayload, providedSignature] = parts;
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(base64UrlDecode(encodedHeader)));
+    if (header.alg !== 'HS256') {
+      return null;
+    }
+    
+    // Verify the signature
+    const encoder = new TextEncoder();
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(env.SHOPIFY_API_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      cryptoKey,
+      encoder.encode(`${encodedHeader}.${encodedPayload}`)
+    );
+    
+    if (!timingSafeEqual(providedSignature, base64UrlEncode(signature))) {
+      console.warn('Session token signature mismatch');
+      return null;
+    }
+    
+    const payload = JSON.parse(decoder.decode(base64UrlDecode(encodedPayload)));
+    const now = Math.floor(Date.now() / 1000);
+    
+    // Validate claims
+    if (payload.aud !== env.SHOPIFY_API_KEY) {
+      return null;
+    }
+    if (!payload.exp || payload.exp + SESSION_TOKEN_LEEWAY_SECONDS < now) {
+      return null;
+    }
+    if (payload.nbf && payload.nbf - SESSION_TOKEN_LEEWAY_SECONDS > now) {
+      return null;
+    }
+    
+    const shop = new URL(payload.dest).hostname;
+    if (!isValidShopDomain(shop)) {
+      return null;
+    }
+    
+    // Issuer is the shop's admin and must match the destination
+    if (payload.iss && new URL(payload.iss).hostname !== shop) {
+      return null;
+    }
+    
+    return { ...payload, shop };
+  } catch (error) {
+    console.error('Error verifying session token:', error);
+    return null;
+  }
+}
+
+// Check whether a bearer token looks like a JWT rather than an API key
+export function isJwt(token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+}
\ No newline at end of file
@@ -1,8 +1,33 @@
 import { AuthenticationError } from './errors.js';
-import { ERROR_MESSAGES } from './constants.js';
+import {
+  ERROR_MESSAGES,
+  TOKEN_REFRESH_MARGIN_SECONDS,
+  TOKEN_REFRESH_LOCK_SECONDS,
+  UNINSTALL_RECORD_TTL_DAYS
+} from './constants.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  isEncryptedEnvelope,
+  isCurrentKeyVersion
+} from './encryption.js';
+import { scheduleShopifyRequest } from './rate-limit.js';
+import { revokeAllApiKeys } from './api-keys.js';
+import { deleteOnlineTokens, isOnlineTokenKey, migrateOnlineToken } from './online-tokens.js';
+import { getApiWebhookTopics, getWebhookAddress } from './webhooks.js';
+import { parseLinkHeader } from './utils.js';
+
+const SHOP_MIGRATION_BATCH_SIZE = 50;
+const WEBHOOK_RECONCILE_BATCH_SIZE = 10;
+const REFRESH_LOCK_POLLS = 5;
+const REFRESH_LOCK_POLL_MS = 500;
+
+// Refreshes in flight in this isolate, by shop
+const refreshesInFlight = new Map();
 
 // Exchange OAuth Code for Access Token
-export async function exchangeCodeForToken(shop, code, env) {
+export async function exchangeCodeForToken(shop, code, env, { online = false } = {}) {
   const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -10,6 +35,8 @@ export async function exchangeCodeForToken(shop, code, env) {
       client_id: env.SHOPIFY_API_KEY,
       client_secret: env.SHOPIFY_API_SECRET,
       code,
+      // Opt in to expiring offline tokens with a refresh token
+      ...(!online && env.EXPIRING_OFFLINE_TOKENS === 'true' ? { expiring: 1 } : {}),
     }),
   });
   
@@ -20,40 +47,469 @@ export async function exchangeCodeForToken(shop, code, env) {
   return await response.json();
 }
 
-// Store Shop Data in KV
-export async function storeShopData(shop, tokenData, env) {
+// Exchange an App Bridge Session Token for an Offline Access Token
+//
+// Shopify managed installation installs the app without the OAuth redirects; the
+// embedded app trades the session token it was loaded with for the shop's token.
+export async function exchangeSessionToken(shop, sessionToken, env) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: env.SHOPIFY_API_KEY,
+      client_secret: env.SHOPIFY_API_SECRET,
+      grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+      subject_token: sessionToken,
+      subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
+      requested_token_type: 'urn:shopify:params:oauth:token-type:offline-access-token',
+      ...(env.EXPIRING_OFFLINE_TOKENS === 'true' ? { expiring: 1 } : {}),
+    }),
+  });
+  
+  // Shopify rejects session tokens it did not issue or that have expired
+  if (response.status === 400 || response.status === 401) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_SESSION_TOKEN);
+  }
+  if (!response.ok) {
+    throw new AuthenticationError(ERROR_MESSAGES.FAILED_SESSION_TOKEN_EXCHANGE, 502);
+  }
+  
+  return await response.json();
+}
+
+// Token fields of a shop record, from a Shopify access token response
+// Expiring offline tokens also carry their expiry and a refresh token
+async function buildTokenFields(tokenData, env) {
+  const now = Date.now();
+  const fields = {
+    encryptedAccessToken: await encryptSecret(tokenData.access_token, env),
+  };
+  
+  if (tokenData.expires_in) {
+    fields.accessTokenExpiresAt = new Date(now + tokenData.expires_in * 1000).toISOString();
+  }
+  if (tokenData.refresh_token) {
+    fields.encryptedRefreshToken = await encryptSecret(tokenData.refresh_token, env);
+    fields.refreshTokenExpiresAt = tokenData.refresh_token_expires_in
+      ? new Date(now + tokenData.refresh_token_expires_in * 1000).toISOString()
+      : null;
+  }
+  
+  return fields;
+}
+
+// Store Shop Data in KV (tokens encrypted at rest)
+// Pass the stored `installedAt` when the record is rewritten for the same install
+export async function storeShopData(shop, tokenData, env, { installedAt } = {}) {
   await env.SHOPS.put(
     shop,
     JSON.stringify({
-      accessToken: tokenData.access_token,
+      ...(await buildTokenFields(tokenData, env)),
       scope: tokenData.scope,
-      installedAt: new Date().toISOString(),
+      installedAt: installedAt || new Date().toISOString(),
     })
   );
 }
 
-// Register Mandatory Webhooks
-export async function registerMandatoryWebhooks(shop, accessToken, env) {
-  const webhooks = [
-    { topic: 'customers/redact', address: `${env.APP_URL}/webhooks/customers/redact` },
-    { topic: 'shop/redact', address: `${env.APP_URL}/webhooks/shop/redact` },
-    { topic: 'customers/data_request', address: `${env.APP_URL}/webhooks/customers/data_request` },
-  ];
+// Remove an Uninstalled Shop
+//
+// Shopify has already revoked the access token, so the shop record and every
+// API key issued for the shop go. The uninstall is kept in EVENTS as
+// `uninstall:<shop>:<time>` for auditing, for UNINSTALL_RECORD_TTL_DAYS.
+//
+// An uninstall triggered before the shop's current install (a delayed or
+// retried delivery arriving after a reinstall) is stale and leaves the shop
+// alone; it resolves to null.
+export async function uninstallShop(shop, env, { webhookId = null, triggeredAt = null } = {}) {
+  const shopData = await env.SHOPS.get(shop, 'json');
+  if (shopData && triggeredAt && Date.parse(triggeredAt) < Date.parse(shopData.installedAt)) {
+    return null;
+  }
   
-  for (const webhook of webhooks) {
-    try {
-      await fetch(`https://${shop}/admin/api/${env.SHOPIFY_API_VERSION}/webhooks.json`, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ webhook }),
-      });
-    } catch (error) {
-      console.error(`Failed to register webhook ${webhook.topic}:`, error);
+  await env.SHOPS.delete(shop);
+  await deleteOnlineTokens(shop, env);
+  const apiKeysRevoked = await revokeAllApiKeys(shop, env);
+  
+  const uninstalledAt = new Date().toISOString();
+  const event = {
+    shop,
+    webhookId,
+    installedAt: shopData ? shopData.installedAt : null,
+    uninstalledAt,
+    apiKeysRevoked,
+  };
+  await env.EVENTS.put(`uninstall:${shop}:${uninstalledAt}`, JSON.stringify(event), {
+    expirationTtl: 86400 * UNINSTALL_RECORD_TTL_DAYS,
+  });
+  
+  return event;
+}
+
+// Merge changes into a stored shop record, leaving the encrypted token as is
+// Returns the updated record, or null when the shop isn't installed
+export async function updateShopRecord(shop, changes, env) {
+  const record = await env.SHOPS.get(shop, 'json');
+  if (!record) return null;
+  
+  const updated = { ...record, ...changes };
+  await env.SHOPS.put(shop, JSON.stringify(updated));
+  return updated;
+}
+
+// Flag a Shop Whose Access Token Shopify No Longer Accepts
+// The merchant has to go through OAuth again, which stores a fresh record
+export async function markShopNeedsReauth(shop, reason, env) {
+  return await updateShopRecord(shop, {
+    status: 'needs_reauth',
+    reauthReason: reason,
+    reauthRequiredAt: new Date().toISOString(),
+  }, env);
+}
+
+// Check whether a shop record has been flagged for reauthorization
+export function needsReauth(shopData) {
+  return !!shopData && shopData.status === 'needs_reauth';
+}
+
+// Bring a stored shop record up to the current encryption key version
+// Returns the updated record, or null when it is already current
+async function upgradeShopRecord(record, env) {
+  if (typeof record.accessToken === 'string') {
+    // Legacy plaintext record
+    const { accessToken, ...rest } = record;
+    return { ...rest, encryptedAccessToken: await encryptSecret(accessToken, env) };
+  }
+  
+  if (isEncryptedEnvelope(record.encryptedAccessToken) &&
+      !isCurrentKeyVersion(record.encryptedAccessToken, env)) {
+    const upgraded = { ...record, encryptedAccessToken: await rewrapSecret(record.encryptedAccessToken, env) };
+    if (isEncryptedEnvelope(record.encryptedRefreshToken)) {
+      upgraded.encryptedRefreshToken = await rewrapSecret(record.encryptedRefreshToken, env);
+    }
+    return upgraded;
+  }
+  
+  return null;
+}
+
+// Expiring Offline Tokens
+//
+// Shops installed with EXPIRING_OFFLINE_TOKENS have an access token that
+// expires at `accessTokenExpiresAt` and a refresh token that Shopify rotates on
+// every use. getShopData refreshes the access token once it is within
+// TOKEN_REFRESH_MARGIN_SECONDS of expiring. Refreshes are serialized per shop:
+// within an isolate by sharing the in-flight refresh, and across isolates by a
+// short-lived lock in AUTH_STATES. A refresh that still loses the race (its
+// refresh token was already rotated) picks up the token the winner stored.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTokenExpiring(record) {
+  return !!record.accessTokenExpiresAt &&
+    Date.parse(record.accessTokenExpiresAt) - Date.now() < TOKEN_REFRESH_MARGIN_SECONDS * 1000;
+}
+
+// Exchange a refresh token for a new token pair, or null when Shopify rejects it
+async function requestTokenRefresh(shop, refreshToken, env) {
+  const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: env.SHOPIFY_API_KEY,
+      client_secret: env.SHOPIFY_API_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }),
+  });
+  
+  if (response.status === 400 || response.status === 401) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new AuthenticationError(ERROR_MESSAGES.FAILED_TOKEN_REFRESH, 502);
+  }
+  
+  return await response.json();
+}
+
+// Refresh a shop's access token, returning the updated (still encrypted) record
+async function performTokenRefresh(shop, record, env) {
+  const lockKey = `refresh-lock:${shop}`;
+  
+  // Another isolate is refreshing, wait for it to store the new token
+  if (await env.AUTH_STATES.get(lockKey)) {
+    for (let poll = 0; poll < REFRESH_LOCK_POLLS; poll++) {
+      await sleep(REFRESH_LOCK_POLL_MS);
+      const latest = await env.SHOPS.get(shop, 'json');
+      if (!latest || needsReauth(latest) || !isTokenExpiring(latest)) {
+        return latest;
+      }
+    }
+  }
+  
+  const refreshExpired = record.refreshTokenExpiresAt && Date.parse(record.refreshTokenExpiresAt) <= Date.now();
+  if (!record.encryptedRefreshToken || refreshExpired) {
+    return await markShopNeedsReauth(shop, 'refresh_token_expired', env);
+  }
+  
+  await env.AUTH_STATES.put(lockKey, '1', { expirationTtl: TOKEN_REFRESH_LOCK_SECONDS });
+  
+  try {
+    const refreshToken = await decryptSecret(record.encryptedRefreshToken, env);
+    const tokenData = await requestTokenRefresh(shop, refreshToken, env);
+    
+    if (!tokenData) {
+      // Rejected: either another refresh already rotated it or the shop has to reauthorize
+      const latest = await env.SHOPS.get(shop, 'json');
+      if (latest && latest.accessTokenExpiresAt !== record.accessTokenExpiresAt) {
+        return latest;
+      }
+      return await markShopNeedsReauth(shop, 'refresh_token_rejected', env);
+    }
+    
+    const updated = {
+      ...record,
+      ...(await buildTokenFields(tokenData, env)),
+      scope: tokenData.scope || record.scope,
+      tokenRefreshedAt: new Date().toISOString(),
+    };
+    await env.SHOPS.put(shop, JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    // Keep using the current token while it is still valid
+    if (Date.parse(record.accessTokenExpiresAt) > Date.now()) {
+      console.error(`Token refresh failed for ${shop}, using the current token:`, error);
+      return record;
+    }
+    throw error;
+  } finally {
+    await env.AUTH_STATES.delete(lockKey);
+  }
+}
+
+// Refresh a shop's token, sharing a refresh already in flight in this isolate
+function refreshShopToken(shop, record, env) {
+  if (!refreshesInFlight.has(shop)) {
+    const refresh = performTokenRefresh(shop, record, env)
+      .finally(() => refreshesInFlight.delete(shop));
+    refreshesInFlight.set(shop, refresh);
+  }
+  return refreshesInFlight.get(shop);
+}
+
+// Load Shop Data from KV with the access token decrypted
+export async function getShopData(shop, env) {
+  let record = await env.SHOPS.get(shop, 'json');
+  if (!record) return null;
+  
+  // Re-encrypt legacy or rotated records on read
+  const upgraded = await upgradeShopRecord(record, env);
+  if (upgraded) {
+    await env.SHOPS.put(shop, JSON.stringify(upgraded));
+    record = upgraded;
+  }
+  
+  // Refresh expiring offline tokens before they are used
+  if (isTokenExpiring(record) && !needsReauth(record)) {
+    record = await refreshShopToken(shop, record, env);
+    if (!record) return null;
+  }
+  
+  const { encryptedAccessToken, encryptedRefreshToken, ...rest } = record;
+  return {
+    ...rest,
+    accessToken: await decryptSecret(encryptedAccessToken, env),
+  };
+}
+
+// Migrate Shop Records to the current encryption key version
+//
+// Processes one page of SHOPS per call, returning a cursor to resume from
+// until `complete` is true. Online tokens are re-wrapped keeping their expiry.
+export async function migrateShopTokens(env, cursor) {
+  const page = await env.SHOPS.list({
+    limit: SHOP_MIGRATION_BATCH_SIZE,
+    cursor: cursor || undefined,
+  });
+  
+  let migrated = 0;
+  for (const key of page.keys) {
+    if (isOnlineTokenKey(key.name)) {
+      if (await migrateOnlineToken(key.name, env)) migrated++;
+      continue;
+    }
+    
+    const record = await env.SHOPS.get(key.name, 'json');
+    const upgraded = record && await upgradeShopRecord(record, env);
+    if (upgraded) {
+      await env.SHOPS.put(key.name, JSON.stringify(upgraded));
+      migrated++;
     }
   }
+  
+  return {
+    scanned: page.keys.length,
+    migrated,
+    cursor: page.list_complete ? null : page.cursor,
+    complete: page.list_complete,
+  };
+}
+
+// Plan the changes that bring a shop's subscriptions to the desired topics
+//
+// Each desired topic keeps one subscription: an existing one at the right
+// address is left alone, one at another address (e.g. an old APP_URL) is
+// updated, and any further duplicates are deleted along with topics no longer
+// wanted.
+function planWebhookChanges(existing, desired) {
+  const changes = { create: [], update: [], remove: [], unchanged: [] };
+  
+  for (const webhook of desired) {
+    const matches = existing.filter(subscription => subscription.topic === webhook.topic);
+    const keep = matches.find(subscription => subscription.address === webhook.address) || matches[0];
+    
+    if (!keep) {
+      changes.create.push(webhook);
+    } else if (keep.address !== webhook.address) {
+      changes.update.push({ id: keep.id, ...webhook });
+    } else {
+      changes.unchanged.push(webhook);
+    }
+    
+    changes.remove.push(...matches.filter(subscription => subscription !== keep));
+  }
+  
+  const desiredTopics = desired.map(webhook => webhook.topic);
+  changes.remove.push(...existing.filter(subscription => !desiredTopics.includes(subscription.topic)));
+  
+  return changes;
+}
+
+// Send one subscription change, returning a structured error on failure
+async function applyWebhookChange(shop, endpoint, method, data, accessToken, env) {
+  try {
+    const result = await proxyToShopify(shop, endpoint, method, data, accessToken, env);
+    return getShopifyError(result);
+  } catch (error) {
+    return { error: ERROR_MESSAGES.SHOPIFY_API_ERROR, details: error.message };
+  }
+}
+
+// Sync Webhook Subscriptions
+//
+// Lists the shop's subscriptions, diffs them against the topics the gateway
+// wants and creates, updates or deletes only what differs, so it is safe to run
+// on every install and again later. The outcome is stored on the shop record as
+// `webhooks` for reconciliation to pick up failed or drifted shops.
+export async function syncWebhooks(shop, accessToken, env) {
+  const desired = getApiWebhookTopics(env).map(topic => ({
+    topic,
+    address: getWebhookAddress(topic, env),
+  }));
+  
+  const outcome = {
+    status: 'ok',
+    syncedAt: new Date().toISOString(),
+    appUrl: env.APP_URL,
+    topics: desired.map(webhook => webhook.topic),
+    created: 0,
+    updated: 0,
+    deleted: 0,
+    unchanged: 0,
+    errors: [],
+  };
+  
+  let listing;
+  try {
+    listing = await proxyToShopify(shop, '/webhooks.json?limit=250', 'GET', null, accessToken, env);
+  } catch (error) {
+    listing = { error: { error: ERROR_MESSAGES.SHOPIFY_API_ERROR, details: error.message } };
+  }
+  
+  const listError = listing.error || getShopifyError(listing);
+  if (listError) {
+    outcome.errors.push({ action: 'list', ...listError });
+  } else {
+    const changes = planWebhookChanges((listing.data && listing.data.webhooks) || [], desired);
+    outcome.unchanged = changes.unchanged.length;
+    
+    for (const webhook of changes.create) {
+      const error = await applyWebhookChange(shop, '/webhooks.json', 'POST', { webhook }, accessToken, env);
+      if (error) outcome.errors.push({ action: 'create', topic: webhook.topic, ...error });
+      else outcome.created++;
+    }
+    
+    for (const { id, ...webhook } of changes.update) {
+      const error = await applyWebhookChange(shop, `/webhooks/${id}.json`, 'PUT', { webhook: { id, address: webhook.address } }, accessToken, env);
+      if (error) outcome.errors.push({ action: 'update', topic: webhook.topic, ...error });
+      else outcome.updated++;
+    }
+    
+    for (const subscription of changes.remove) {
+      const error = await applyWebhookChange(shop, `/webhooks/${subscription.id}.json`, 'DELETE', null, accessToken, env);
+      if (error) outcome.errors.push({ action: 'delete', topic: subscription.topic, ...error });
+      else outcome.deleted++;
+    }
+  }
+  
+  if (outcome.errors.length > 0) {
+    outcome.status = 'failed';
+    console.error(`Webhook sync failed for ${shop}:`, outcome.errors);
+  }
+  
+  await updateShopRecord(shop, { webhooks: outcome }, env);
+  return outcome;
+}
+
+// Check whether a shop's subscriptions need another sync
+export function needsWebhookSync(record, env) {
+  const webhooks = record.webhooks;
+  if (!webhooks || webhooks.status !== 'ok' || webhooks.appUrl !== env.APP_URL) {
+    return true;
+  }
+  
+  const desired = getApiWebhookTopics(env);
+  return desired.length !== webhooks.topics.length ||
+    desired.some(topic => !webhooks.topics.includes(topic));
+}
+
+// Reconcile Webhook Subscriptions
+//
+// Re-syncs shops whose last sync failed or no longer matches the configured
+// topics (every shop with `force`), one page of SHOPS per call.
+export async function reconcileWebhooks(env, { cursor = null, force = false } = {}) {
+  const page = await env.SHOPS.list({
+    limit: WEBHOOK_RECONCILE_BATCH_SIZE,
+    cursor: cursor || undefined,
+  });
+  
+  const result = { scanned: page.keys.length, synced: 0, failed: [] };
+  
+  for (const key of page.keys) {
+    if (isOnlineTokenKey(key.name)) continue;
+    
+    const record = await env.SHOPS.get(key.name, 'json');
+    // Shops waiting for reauthorization are synced again when they reinstall
+    if (!record || needsReauth(record) || (!force && !needsWebhookSync(record, env))) continue;
+    
+    // Uninstalled since it was listed, or its token could not be refreshed
+    const shopData = await getShopData(key.name, env);
+    if (!shopData) continue;
+    
+    const outcome = await syncWebhooks(key.name, shopData.accessToken, env);
+    result.synced++;
+    if (outcome.status !== 'ok') {
+      result.failed.push(key.name);
+    }
+  }
+  
+  return {
+    ...result,
+    cursor: page.list_complete ? null : page.cursor,
+    complete: page.list_complete,
+  };
 }
 
 // Proxy Request to Shopify API
@@ -71,11 +527,132 @@ export async function proxyToShopify(shop, endpoint, method, data, accessToken,
     options.body = JSON.stringify(data);
   }
   
-  const response = await fetch(url, options);
-  const responseData = await response.json();
+  return await scheduleShopifyRequest(shop, 'rest', env, async () => {
+    const response = await fetch(url, options);
+    return await readShopifyResponse(response);
+  });
+}
+
+// Read a Shopify Response
+//
+// Keeps the raw body so it can be passed through untouched, and parses it as
+// `data` only when Shopify says it is JSON. Empty bodies (204 DELETEs), HTML
+// error pages and binary downloads leave `data` null.
+async function readShopifyResponse(response) {
+  const contentType = response.headers.get('Content-Type') || '';
+  const body = await response.arrayBuffer();
+  
+  let data = null;
+  if (contentType.includes('json') && body.byteLength > 0) {
+    try {
+      data = JSON.parse(new TextDecoder().decode(body));
+    } catch {
+      data = null;
+    }
+  }
   
   return {
-    data: responseData,
     status: response.status,
+    headers: response.headers,
+    contentType,
+    body,
+    data,
+  };
+}
+
+// Structured Error for an Unsuccessful Shopify Response
+//
+// Returns null for successful responses. Shopify reports REST errors as
+// `errors` (a string, list or field map) and OAuth-level errors as `error`;
+// either is passed on as `shopify_errors` alongside the status and request id.
+export function getShopifyError(result) {
+  if (result.status < 400) {
+    return null;
+  }
+  
+  // Errors produced by the worker itself (e.g. the rate limiter) are already structured
+  if (result.local) {
+    return result.data;
+  }
+  
+  const { data } = result;
+  const shopifyErrors = data && (data.errors || data.error || null);
+  
+  return {
+    error: ERROR_MESSAGES.SHOPIFY_API_ERROR,
+    status: result.status,
+    shopify_errors: shopifyErrors,
+    details: shopifyErrors ? undefined : `Shopify responded with ${result.status} (${result.contentType || 'no content type'})`,
+    request_id: result.headers.get('X-Request-Id') || null,
+  };
+}
+
+// Merge the list arrays of two REST pages ({ products: [...] })
+function mergePages(merged, page) {
+  if (!merged) return page;
+  
+  const result = { ...merged };
+  for (const [key, value] of Object.entries(page || {})) {
+    if (Array.isArray(value) && Array.isArray(result[key])) {
+      result[key] = result[key].concat(value);
+    }
+  }
+  return result;
+}
+
+// Follow REST Pagination and Merge Pages
+//
+// Fetches up to `maxPages` pages by following `Link: rel="next"`. The last page's
+// headers are kept so the caller can continue from where this stopped. Stops at
+// the first unsuccessful page and returns that response as is.
+export async function proxyPaginatedToShopify(shop, endpoint, accessToken, env, maxPages) {
+  const apiPrefix = `/admin/api/${env.SHOPIFY_API_VERSION}`;
+  let nextEndpoint = endpoint;
+  let merged = null;
+  let lastResponse;
+  let pages = 0;
+  
+  while (nextEndpoint && pages < maxPages) {
+    lastResponse = await proxyToShopify(shop, nextEndpoint, 'GET', null, accessToken, env);
+    pages++;
+    
+    if (lastResponse.status < 200 || lastResponse.status >= 300) {
+      return lastResponse;
+    }
+    
+    merged = mergePages(merged, lastResponse.data);
+    
+    const next = parseLinkHeader(lastResponse.headers.get('Link')).next;
+    if (next) {
+      const nextUrl = new URL(next);
+      nextEndpoint = nextUrl.pathname.replace(apiPrefix, '') + nextUrl.search;
+    } else {
+      nextEndpoint = null;
+    }
+  }
+  
+  return { ...lastResponse, data: merged, pages };
+}
+
+// Proxy GraphQL Request to the Shopify Admin API
+export async function proxyGraphQLToShopify(shop, graphqlRequest, accessToken, env) {
+  const { query, variables, operationName } = graphqlRequest;
+  const url = `https://${shop}/admin/api/${env.SHOPIFY_API_VERSION}/graphql.json`;
+  const options = {
+    method: 'POST',
+    headers: {
+      'X-Shopify-Access-Token': accessToken,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      query,
+      variables: variables || undefined,
+      operationName: operationName || undefined,
+    }),
   };
+  
+  return await scheduleShopifyRequest(shop, 'graphql', env, async () => {
+    const response = await fetch(url, options);
+    return await readShopifyResponse(response);
+  });
 }
\ No newline at end of file
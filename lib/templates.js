@@ -1,4 +1,5 @@
 import { APP_NAME, ERROR_MESSAGES } from './constants.js';
+import { escapeHtml } from './utils.js';
 
 // Create Installation Redirect
 export function createInstallRedirect(shop, env) {
@@ -7,13 +8,14 @@ export function createInstallRedirect(shop, env) {
   return Response.redirect(fullUrl.toString(), 302);
 }
 
-// Create Access Denied Page
-export function createAccessDeniedPage(shop) {
+// Create Error Page
+// Standalone page for errors shown to merchants, with an optional action button
+export function createErrorPage(title, message, { status = 400, details = null, action = null, headers = {} } = {}) {
   const html = `
     <!DOCTYPE html>
     <html>
     <head>
-      <title>${ERROR_MESSAGES.ACCESS_DENIED_TITLE}</title>
+      <title>${title}</title>
       <meta name="viewport" content="width=device-width, initial-scale=1">
       <style>
         body {
@@ -59,23 +61,231 @@ export function createAccessDeniedPage(shop) {
     </head>
     <body>
       <div class="error-container">
-        <h1>⚠️ ${ERROR_MESSAGES.ACCESS_DENIED_TITLE}</h1>
-        <p>${ERROR_MESSAGES.ACCESS_DENIED_MESSAGE}</p>
-        <p>Please access this app through your Shopify admin panel:</p>
-        <a href="https://${shop}/admin/apps" class="button">Go to Shopify Admin</a>
+        <h1>⚠️ ${title}</h1>
+        <p>${message}</p>
+        ${details ? `<p>${details}</p>` : ''}
+        ${action ? `<a href="${action.url}" class="button">${action.label}</a>` : ''}
       </div>
     </body>
     </html>
   `;
   
   return new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html', ...headers },
+  });
+}
+
+// Create Access Denied Page
+export function createAccessDeniedPage(shop) {
+  return createErrorPage(ERROR_MESSAGES.ACCESS_DENIED_TITLE, ERROR_MESSAGES.ACCESS_DENIED_MESSAGE, {
     status: 403,
-    headers: { 'Content-Type': 'text/html' },
+    details: 'Please access this app through your Shopify admin panel:',
+    action: { url: `https://${shop}/admin/apps`, label: 'Go to Shopify Admin' },
+  });
+}
+
+// Create Extension Completion Page
+// Where return_to=extension OAuth flows end. The one-time code stays in the URL
+// fragment; the page passes it to the extension by message when the extension is
+// externally_connectable to the worker, and extensions can also read it from the
+// tab URL. The extension closes the tab once it has redeemed the code.
+export function createCompletionPage() {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${APP_NAME}</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <meta name="referrer" content="no-referrer">
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          margin: 0;
+          background: #f4f4f5;
+        }
+        .message {
+          text-align: center;
+          padding: 2rem;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+          max-width: 500px;
+        }
+        h1 {
+          color: #008060;
+          margin-bottom: 1rem;
+        }
+        p {
+          color: #666;
+          line-height: 1.5;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="message">
+        <h1>✓ Extension Connected</h1>
+        <p id="status">You can close this tab and return to the extension.</p>
+      </div>
+      <script>
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const extensionId = params.get('extension_id');
+        const runtime = window.chrome && window.chrome.runtime;
+        
+        if (!params.get('code')) {
+          document.getElementById('status').textContent = 'This link has already been used or is incomplete.';
+        } else if (extensionId && runtime && runtime.sendMessage) {
+          try {
+            runtime.sendMessage(extensionId, {
+              type: 'shopify_auth_complete',
+              shop: params.get('shop'),
+              code: params.get('code'),
+            }, () => void runtime.lastError);
+          } catch (error) {
+            // Not externally_connectable; the extension reads the tab URL instead
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `;
+  
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+// Describe what a grant's key would be allowed to do
+function describeGrantAccess(grant) {
+  const items = [
+    grant.accessMode === 'online'
+      ? 'Acts as you, limited to your staff permissions (online access)'
+      : 'Acts as the store (offline access)',
+  ];
+  
+  const policy = grant.policy;
+  if (!policy) {
+    items.push('Every request the app\'s approved scopes allow');
+  } else {
+    items.push(`Methods: ${policy.methods ? policy.methods.join(', ') : 'all'}`);
+    items.push(`Endpoints: ${policy.paths ? policy.paths.join(', ') : 'all'}`);
+  }
+  
+  if (grant.extensionId) {
+    items.push(`Extension: ${grant.extensionId}`);
+  }
+  if (grant.redirectUri) {
+    items.push(`Returns to: ${new URL(grant.redirectUri).origin}`);
+  }
+  
+  return items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+// Create Grant Confirmation Page
+// Shown once the OAuth handshake proved admin access; the grant is only approved
+// when the merchant submits this form, which carries the one-time confirmation
+// token. The page must not be framed, so it can't be clicked through unseen.
+export function createGrantConfirmationPage(grant, { grantId, token, headers = {} }) {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${APP_NAME}</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <meta name="referrer" content="no-referrer">
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          margin: 0;
+          background: #f4f4f5;
+        }
+        .message {
+          padding: 2rem;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+          max-width: 500px;
+        }
+        h1 {
+          color: #202223;
+          margin-top: 0;
+        }
+        p, li {
+          color: #666;
+          line-height: 1.5;
+        }
+        .actions {
+          display: flex;
+          gap: 0.75rem;
+          margin-top: 1.5rem;
+        }
+        button {
+          padding: 0.75rem 1.5rem;
+          border-radius: 4px;
+          border: 1px solid #c9cccf;
+          background: white;
+          cursor: pointer;
+          font-size: 1rem;
+        }
+        button.approve {
+          background: #008060;
+          border-color: #008060;
+          color: white;
+        }
+      </style>
+    </head>
+    <body>
+      <form class="message" method="POST" action="/auth/grant">
+        <h1>Connect a browser extension?</h1>
+        <p>A browser extension is asking for an API key to <strong>${escapeHtml(grant.shop)}</strong>:</p>
+        <ul>${describeGrantAccess(grant)}</ul>
+        <p>Only approve if you just started connecting an extension yourself.</p>
+        <input type="hidden" name="grant" value="${escapeHtml(grantId)}">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <div class="actions">
+          <button class="approve" type="submit" name="decision" value="approve">Approve</button>
+          <button type="submit" name="decision" value="decline">Decline</button>
+        </div>
+      </form>
+    </body>
+    </html>
+  `;
+  
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'no-store',
+      'X-Frame-Options': 'DENY',
+      'Content-Security-Policy': "frame-ancestors 'none'",
+      ...headers,
+    },
   });
 }
 
 // Create Embedded App Interface
-export function createEmbeddedApp(shop, host, env) {
+export function createEmbeddedApp(shop, host, env, { missingScopes = [], origin } = {}) {
+  // OAuth has to leave the admin iframe, so the prompt opens it in the top frame
+  const scopeNotice = missingScopes.length === 0 ? '' : `
+      <div class="card notice">
+        <h2>Grant New Permissions</h2>
+        <p>This app now needs additional permissions to keep working with your store: <code>${missingScopes.join(', ')}</code></p>
+        <button class="button-primary" onclick="window.open('${origin}/auth?shop=${encodeURIComponent(shop)}', '_top')">Grant permissions</button>
+      </div>
+      `;
+  
   const html = `
     <!DOCTYPE html>
     <html>
@@ -83,6 +293,7 @@ export function createEmbeddedApp(shop, host, env) {
       <meta charset="utf-8">
       <title>${APP_NAME}</title>
       <meta name="viewport" content="width=device-width, initial-scale=1">
+      <meta name="shopify-api-key" content="${env.SHOPIFY_API_KEY}">
       <script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>
       <style>
         * {
@@ -172,6 +383,54 @@ export function createEmbeddedApp(shop, host, env) {
           color: #5c5f62;
           font-size: 0.875rem;
         }
+        .keys-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin: 1rem 0;
+          font-size: 0.875rem;
+        }
+        .keys-table th,
+        .keys-table td {
+          text-align: left;
+          padding: 0.5rem;
+          border-bottom: 1px solid #e1e3e5;
+          color: #5c5f62;
+        }
+        .keys-table th {
+          color: #202223;
+          font-weight: 500;
+        }
+        .notice {
+          border-left: 4px solid #b98900;
+        }
+        .button-primary {
+          background: #008060;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 0.5rem 1rem;
+          cursor: pointer;
+          font-size: 0.875rem;
+        }
+        .button-primary:hover {
+          background: #006e52;
+        }
+        .button-danger {
+          background: #d72c0d;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 0.5rem 1rem;
+          cursor: pointer;
+          font-size: 0.875rem;
+        }
+        .button-danger:hover {
+          background: #bc2200;
+        }
+        .button-danger:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
       </style>
     </head>
     <body>
@@ -179,7 +438,7 @@ export function createEmbeddedApp(shop, host, env) {
         <h1>${APP_NAME}</h1>
         <span class="status-badge">✓ Active</span>
       </div>
-      
+      ${scopeNotice}
       <div class="card">
         <h2>About</h2>
         <p>This app provides secure API access for browser extensions to connect to your storefront. It acts as a bridge between your browser extensions and Shopify's API.</p>
@@ -199,6 +458,28 @@ export function createEmbeddedApp(shop, host, env) {
         </div>
       </div>
       
+      <div class="card">
+        <h2>Settings</h2>
+        <div class="info-grid">
+          <div class="info-item">
+            <strong>Status</strong>
+            <span id="settings-status">Loading…</span>
+          </div>
+          <div class="info-item">
+            <strong>Granted Scopes</strong>
+            <span id="settings-scope">Loading…</span>
+          </div>
+          <div class="info-item">
+            <strong>Webhooks</strong>
+            <span id="settings-webhooks">Loading…</span>
+          </div>
+          <div class="info-item">
+            <strong>Installed</strong>
+            <span id="settings-installed">Loading…</span>
+          </div>
+        </div>
+      </div>
+      
       <div class="card">
         <h2>How to Connect Your Extension</h2>
         <ol>
@@ -218,6 +499,26 @@ export function createEmbeddedApp(shop, host, env) {
         </ul>
       </div>
       
+      <div class="card">
+        <h2>Extension Keys</h2>
+        <p>Each connected browser extension holds its own API key. Revoke a key to immediately cut off a lost or compromised device.</p>
+        <table class="keys-table">
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>Created</th>
+              <th>Last used</th>
+              <th>Expires</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody id="keys-body">
+            <tr><td colspan="5">Loading…</td></tr>
+          </tbody>
+        </table>
+        <button id="revoke-all" class="button-danger" disabled>Revoke all keys</button>
+      </div>
+      
       <div class="card">
         <h2>Security</h2>
         <p>This app uses OAuth 2.0 for secure authentication and generates unique API keys for each extension connection. All data is transmitted over HTTPS and access tokens are securely stored.</p>
@@ -239,6 +540,117 @@ export function createEmbeddedApp(shop, host, env) {
         };
         const myTitleBar = TitleBar.create(app, titleBarOptions);
       </script>
+      
+      <script>
+        // Settings and key management, authenticated with an App Bridge session token
+        async function adminRequest(path, body) {
+          const sessionToken = await shopify.idToken();
+          const response = await fetch(path, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+              'Authorization': 'Bearer ' + sessionToken,
+              'Content-Type': 'application/json',
+            },
+            body: body ? JSON.stringify(body) : undefined,
+          });
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+          }
+          return data;
+        }
+        
+        function formatDate(value) {
+          return value ? new Date(value).toLocaleString() : 'Never';
+        }
+        
+        function renderKeys(keys) {
+          const body = document.getElementById('keys-body');
+          body.innerHTML = '';
+          document.getElementById('revoke-all').disabled = keys.length === 0;
+          
+          if (keys.length === 0) {
+            body.innerHTML = '<tr><td colspan="5">No active keys</td></tr>';
+            return;
+          }
+          
+          for (const key of keys) {
+            const row = document.createElement('tr');
+            const cells = [
+              key.id.substring(0, 8) + '…',
+              formatDate(key.created_at),
+              formatDate(key.last_used_at),
+              formatDate(key.expires_at),
+            ];
+            for (const text of cells) {
+              const cell = document.createElement('td');
+              cell.textContent = text;
+              row.appendChild(cell);
+            }
+            
+            const actionCell = document.createElement('td');
+            const revokeButton = document.createElement('button');
+            revokeButton.className = 'button-danger';
+            revokeButton.textContent = 'Revoke';
+            revokeButton.addEventListener('click', () => revokeKeys({ key_id: key.id }));
+            actionCell.appendChild(revokeButton);
+            row.appendChild(actionCell);
+            
+            body.appendChild(row);
+          }
+        }
+        
+        async function loadSettings() {
+          const fields = ['status', 'scope', 'webhooks', 'installed'];
+          try {
+            const settings = await adminRequest('/api/settings');
+            const webhooks = settings.webhooks
+              ? settings.webhooks.status + ' (' + formatDate(settings.webhooks.synced_at) + ')'
+              : 'Not synced';
+            const values = {
+              status: settings.status,
+              scope: (settings.scope || '').replace(/,/g, ', '),
+              webhooks,
+              installed: formatDate(settings.installed_at),
+            };
+            for (const field of fields) {
+              document.getElementById('settings-' + field).textContent = values[field];
+            }
+          } catch (error) {
+            for (const field of fields) {
+              document.getElementById('settings-' + field).textContent = 'Failed to load';
+            }
+          }
+        }
+        
+        async function loadKeys() {
+          try {
+            const { keys } = await adminRequest('/api/keys');
+            renderKeys(keys);
+          } catch (error) {
+            document.getElementById('keys-body').innerHTML =
+              '<tr><td colspan="5">Failed to load keys</td></tr>';
+          }
+        }
+        
+        async function revokeKeys(payload) {
+          const message = payload.all
+            ? 'Revoke every extension key for this store?'
+            : 'Revoke this key? The extension using it will need to reconnect.';
+          if (!confirm(message)) return;
+          
+          try {
+            await adminRequest('/api/keys/revoke', payload);
+          } catch (error) {
+            alert(error.message);
+          }
+          await loadKeys();
+        }
+        
+        document.getElementById('revoke-all').addEventListener('click', () => revokeKeys({ all: true }));
+        loadSettings();
+        loadKeys();
+      </script>
     </body>
     </html>
   `;
@@ -1,11 +1,40 @@
+import { GRAPHQL_COST_HEADERS } from './graphql.js';
+import { RATE_LIMIT_HEADERS } from './rate-limit.js';
+
 // Utility Functions
 
+// Response headers carrying REST pagination state
+export const PAGINATION_HEADERS = ['X-Page-Info-Next', 'X-Page-Info-Previous', 'X-Pages-Fetched'];
+
+// Shopify response headers forwarded to proxy clients
+export const FORWARDED_SHOPIFY_HEADERS = [
+  'X-Request-Id',
+  'X-Shopify-Shop-Api-Call-Limit',
+  'X-Shopify-API-Version',
+  'X-Shopify-API-Deprecated-Reason',
+  'Link',
+  'X-Shopify-Location',
+  'Content-Disposition',
+];
+
+// Forwarded headers renamed from Shopify's: a Location on the worker's own
+// responses would redirect clients wherever Shopify pointed
+const RENAMED_SHOPIFY_HEADERS = {
+  'X-Shopify-Location': 'Location',
+};
+
 // CORS Headers
 export function getCorsHeaders() {
   return {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Last-Event-ID',
+    'Access-Control-Expose-Headers': [
+      ...RATE_LIMIT_HEADERS,
+      ...GRAPHQL_COST_HEADERS,
+      ...PAGINATION_HEADERS,
+      ...FORWARDED_SHOPIFY_HEADERS,
+    ].join(', '),
   };
 }
 
@@ -27,6 +56,25 @@ export async function parseJsonBody(request) {
   }
 }
 
+// Parse Form Body with Error Handling
+export async function parseFormBody(request) {
+  try {
+    return Object.fromEntries(await request.formData());
+  } catch {
+    return {};
+  }
+}
+
+// Escape text for HTML element content and quoted attributes
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Create JSON Response
 export function createJsonResponse(data, status, headers = {}) {
   return new Response(JSON.stringify(data), {
@@ -38,13 +86,118 @@ export function createJsonResponse(data, status, headers = {}) {
   });
 }
 
-// Build Shopify Auth URL
-export function buildShopifyAuthUrl(shop, clientId, scope, redirectUri, state) {
+// Create Redirect Response
+// Response.redirect() headers are immutable, so redirects that set cookies use this
+export function createRedirectResponse(location, headers = {}) {
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': location,
+      ...headers,
+    },
+  });
+}
+
+// Create Response from a Raw Upstream Body
+export function createRawResponse(body, status, contentType, headers = {}) {
+  // Null body statuses (204, 205, 304) can't carry even an empty body
+  const hasBody = ![204, 205, 304].includes(status);
+  return new Response(hasBody ? body : null, {
+    status,
+    headers: {
+      ...(contentType ? { 'Content-Type': contentType } : {}),
+      ...headers,
+    },
+  });
+}
+
+// Pick the forwarded Shopify headers from an upstream response
+export function getForwardedShopifyHeaders(headers) {
+  const forwarded = {};
+  for (const name of FORWARDED_SHOPIFY_HEADERS) {
+    const value = headers.get(RENAMED_SHOPIFY_HEADERS[name] || name);
+    if (value) {
+      forwarded[name] = value;
+    }
+  }
+  return forwarded;
+}
+
+// Build Shopify Auth URL (`perUser` requests an online access token)
+export function buildShopifyAuthUrl(shop, clientId, scope, redirectUri, state, { perUser = false } = {}) {
   const params = new URLSearchParams({
     client_id: clientId,
     scope: scope,
     redirect_uri: redirectUri,
     state: state,
   });
+  if (perUser) {
+    params.append('grant_options[]', 'per-user');
+  }
   return `https://${shop}/admin/oauth/authorize?${params}`;
+}
+
+// Parse a Shopify REST `Link` header into next/previous page URLs
+export function parseLinkHeader(linkHeader) {
+  const links = {};
+  if (!linkHeader) return links;
+  
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?(next|previous)"?/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  return links;
+}
+
+// Build pagination headers (`page_info` cursors) from a Shopify REST `Link` header
+export function getPaginationHeaders(linkHeader) {
+  const links = parseLinkHeader(linkHeader);
+  const headers = {};
+  if (links.next) {
+    headers['X-Page-Info-Next'] = new URL(links.next).searchParams.get('page_info');
+  }
+  if (links.previous) {
+    headers['X-Page-Info-Previous'] = new URL(links.previous).searchParams.get('page_info');
+  }
+  return headers;
+}
+
+// Delete Every KV Key Under a Prefix, returning how many were removed
+export async function deleteByPrefix(namespace, prefix) {
+  let deleted = 0;
+  let cursor;
+  
+  do {
+    const page = await namespace.list({ prefix, cursor });
+    for (const key of page.keys) {
+      await namespace.delete(key.name);
+      deleted++;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return deleted;
+}
+
+// Base64url Encode Bytes
+export function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// Base64url Decode to Bytes
+export function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// SHA-256 Digest as Base64url (PKCE code challenge format)
+export async function sha256Base64Url(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return base64UrlEncode(digest);
 }
\ No newline at end of file
@@ -1,9 +1,10 @@
 import { ConfigurationError } from './errors.js';
 import { ERROR_MESSAGES } from './constants.js';
+import { getShopData, needsReauth } from './shopify.js';
 
 // Environment Validation
 export function validateEnvironment(env) {
-  const required = ['SHOPIFY_API_KEY', 'SHOPIFY_API_SECRET', 'SHOPS', 'AUTH_STATES', 'API_KEYS'];
+  const required = ['SHOPIFY_API_KEY', 'SHOPIFY_API_SECRET', 'TOKEN_ENCRYPTION_KEY', 'SHOPS', 'AUTH_STATES', 'API_KEYS', 'COMPLIANCE', 'EVENTS', 'RATE_LIMITER'];
   const missing = [];
   
   for (const key of required) {
@@ -23,6 +24,41 @@ export function isValidShopDomain(shop) {
   return /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/.test(shop);
 }
 
+// Proxy Endpoint Validation
+// Endpoints are paths relative to /admin/api/{version} and must not escape it
+export function isValidEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('/')) return false;
+  const path = endpoint.split('?')[0];
+  // Reject dot segments, including percent-encoded ones the URL parser would resolve
+  return !/(^|\/)(\.|%2e){1,2}(\/|$)/i.test(path) && !path.includes('//') && !/[\\#]/.test(endpoint);
+}
+
+// Extension Redirect Validation
+// Identity API flows end on the extension's own redirect URL, e.g.
+// https://<extension-id>.chromiumapp.org/ (Chrome) or
+// https://<hash>.extensions.allizom.org/ (Firefox). Only origins registered in
+// EXTENSION_REDIRECT_ORIGINS are accepted.
+export function getExtensionRedirectOrigins(env) {
+  return String(env.EXTENSION_REDIRECT_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+export function isAllowedExtensionRedirect(redirectUri, env) {
+  if (typeof redirectUri !== 'string') return false;
+  
+  try {
+    const url = new URL(redirectUri);
+    if (url.protocol !== 'https:' || url.username || url.password || url.hash) {
+      return false;
+    }
+    return getExtensionRedirectOrigins(env).includes(url.origin);
+  } catch {
+    return false;
+  }
+}
+
 // Embedded Context Validation
 export function isValidEmbeddedContext(embedded, host, hmac) {
   return embedded === '1' && host && hmac;
@@ -36,10 +72,16 @@ export function isValidHost(host, shop) {
     // Decode base64 host parameter (URL-safe base64)
     const decodedHost = atob(host.replace(/-/g, '+').replace(/_/g, '/'));
     
-    // The host should be in format: "shop-domain.myshopify.com/admin"
-    // Just check if it contains the shop domain
+    // Either the legacy "shop-domain.myshopify.com/admin" or the unified admin's
+    // "admin.shopify.com/store/shop-handle", for this shop and no other
     const shopDomain = shop.replace('https://', '').replace('http://', '').split('/')[0];
-    return decodedHost.includes(shopDomain);
+    const storeHandle = shopDomain.replace(/\.myshopify\.com$/, '');
+    const [hostname, ...path] = decodedHost.replace(/\/$/, '').split('/');
+    
+    if (hostname === shopDomain) {
+      return path.length === 1 && path[0] === 'admin';
+    }
+    return hostname === 'admin.shopify.com' && path.length === 2 && path[0] === 'store' && path[1] === storeHandle;
   } catch (error) {
     console.error('Host validation error:', error);
     return false;
@@ -49,8 +91,9 @@ export function isValidHost(host, shop) {
 // Check Installation Status
 export async function checkInstallation(shop, env) {
   try {
-    const data = await env.SHOPS.get(shop);
-    return !!data;
+    const data = await getShopData(shop, env);
+    // A shop whose token was rejected has to install again
+    return !!data && !needsReauth(data);
   } catch (error) {
     console.error('Error checking installation:', error);
     return false;
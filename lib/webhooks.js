@@ -0,0 +1,86 @@
+import { AuthenticationError } from './errors.js';
+import { ERROR_MESSAGES, WEBHOOK_MAX_AGE_SECONDS, WEBHOOK_CLOCK_SKEW_SECONDS } from './constants.js';
+import { COMPLIANCE_TOPICS } from './compliance.js';
+
+// Webhook Topic Registry
+//
+// The gateway always handles app/uninstalled and the GDPR compliance topics.
+// Further topics for extensions to consume are configured as a comma-separated
+// WEBHOOK_TOPICS variable (e.g. "products/update,orders/create"); they are
+// subscribed at install time and delivered to `/webhooks/<topic>`, which queues
+// them per shop.
+
+export const GATEWAY_WEBHOOK_TOPICS = ['app/uninstalled', ...COMPLIANCE_TOPICS];
+
+const TOPIC_PATTERN = /^[a-z_]+\/[a-z_]+$/;
+
+// Topics configured for extensions, ignoring malformed and gateway topics
+export function getExtensionWebhookTopics(env) {
+  return String(env.WEBHOOK_TOPICS || '')
+    .split(',')
+    .map(topic => topic.trim())
+    .filter(topic => TOPIC_PATTERN.test(topic) && !GATEWAY_WEBHOOK_TOPICS.includes(topic));
+}
+
+// Every topic the gateway subscribes to
+export function getWebhookTopics(env) {
+  return [...GATEWAY_WEBHOOK_TOPICS, ...getExtensionWebhookTopics(env)];
+}
+
+// Topics subscribed through the Admin API. Shopify only accepts the compliance
+// topics from the app's configuration in the Partner dashboard.
+export function getApiWebhookTopics(env) {
+  return getWebhookTopics(env).filter(topic => !COMPLIANCE_TOPICS.includes(topic));
+}
+
+// Delivery address for a topic
+export function getWebhookAddress(topic, env) {
+  return `${env.APP_URL}/webhooks/${topic}`;
+}
+
+// Resolve the topic of a `/webhooks/<topic>` path, or null if it isn't subscribed
+export function getWebhookTopicFromPath(pathname, env) {
+  const topic = pathname.substring('/webhooks/'.length);
+  return getWebhookTopics(env).includes(topic) ? topic : null;
+}
+
+// Webhook Delivery Tracking
+//
+// Shopify retries deliveries it doesn't see acknowledged, and a captured payload
+// keeps a valid HMAC forever. Deliveries are therefore only accepted within
+// WEBHOOK_MAX_AGE_SECONDS of `X-Shopify-Triggered-At`, and every processed
+// `X-Shopify-Webhook-Id` is remembered in EVENTS for at least as long, so
+// anything replayed inside that window is recognised as a duplicate.
+
+function deliveryKey(webhookId) {
+  return `webhook:${webhookId}`;
+}
+
+// Check a Delivery Before Handling It
+// Returns { webhookId, duplicate }, or throws for stale or unidentifiable deliveries
+export async function checkWebhookDelivery(request, env) {
+  const webhookId = request.headers.get('X-Shopify-Webhook-Id');
+  const triggeredAt = Date.parse(request.headers.get('X-Shopify-Triggered-At'));
+  
+  if (!webhookId || Number.isNaN(triggeredAt)) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_WEBHOOK_DELIVERY, 401);
+  }
+  
+  const age = (Date.now() - triggeredAt) / 1000;
+  if (age > WEBHOOK_MAX_AGE_SECONDS || age < -WEBHOOK_CLOCK_SKEW_SECONDS) {
+    throw new AuthenticationError(ERROR_MESSAGES.STALE_WEBHOOK, 401);
+  }
+  
+  const processed = await env.EVENTS.get(deliveryKey(webhookId));
+  return { webhookId, duplicate: processed !== null };
+}
+
+// Remember a Successfully Handled Delivery
+// Failed deliveries are not recorded so Shopify's retries are handled again
+export async function markWebhookProcessed(webhookId, topic, shop, env) {
+  await env.EVENTS.put(
+    deliveryKey(webhookId),
+    JSON.stringify({ topic, shop, processedAt: new Date().toISOString() }),
+    { expirationTtl: WEBHOOK_MAX_AGE_SECONDS + WEBHOOK_CLOCK_SKEW_SECONDS }
+  );
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { processComplianceRequest, getComplianceRequest, getComplianceExport } from '../lib/compliance.js';
+import { createEnv } from './helpers/env.js';
+
+const SHOP = 'store.myshopify.com';
+
+const DATA_REQUEST = {
+  shop_id: 1,
+  shop_domain: SHOP,
+  customer: { id: 7, email: 'customer@example.com' },
+  orders_requested: [101, 102],
+  data_request: { id: 9 },
+};
+
+test('requests are recorded with their payload', async () => {
+  const env = createEnv();
+  await processComplianceRequest('customers/data_request', DATA_REQUEST, 'webhook-1', env);
+  
+  const record = await getComplianceRequest(SHOP, 'webhook-1', env);
+  assert.equal(record.status, 'completed');
+  assert.equal(record.customerId, '7');
+  assert.deepEqual(record.payload, DATA_REQUEST);
+  assert.deepEqual((await getComplianceExport(SHOP, 'webhook-1', env)).orders_requested, [101, 102]);
+});
+
+test('shop redaction removes earlier requests and their payloads', async () => {
+  const env = createEnv();
+  await processComplianceRequest('customers/data_request', DATA_REQUEST, 'webhook-1', env);
+  await processComplianceRequest('shop/redact', { shop_id: 1, shop_domain: SHOP }, 'webhook-2', env);
+  
+  assert.equal(await getComplianceRequest(SHOP, 'webhook-1', env), null);
+  assert.equal(await getComplianceExport(SHOP, 'webhook-1', env), null);
+  assert.equal((await getComplianceRequest(SHOP, 'webhook-2', env)).status, 'completed');
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { enqueueShopEvent, listShopEvents } from '../lib/events.js';
+import { createEnv } from './helpers/env.js';
+
+const SHOP = 'store.myshopify.com';
+
+// An event written before `ms` ago that only now shows up in listings
+async function putLateEvent(env, webhookId, ms) {
+  const id = `${String(Date.now() - ms).padStart(15, '0')}-${webhookId}`;
+  const event = { id, topic: 'products/update', shop: SHOP, payload: {}, receivedAt: new Date().toISOString() };
+  await env.EVENTS.put(`event:${SHOP}:${id}`, JSON.stringify(event), {
+    metadata: { topic: 'products/update', customerId: null },
+  });
+}
+
+const webhookIds = page => page.events.map(event => event.id.split('-').pop());
+
+test('events showing up late behind the cursor are delivered once', async () => {
+  const env = createEnv();
+  await enqueueShopEvent(SHOP, 'products/update', 'first', {}, env);
+  
+  const first = await listShopEvents(SHOP, env);
+  assert.deepEqual(webhookIds(first), ['first']);
+  
+  await putLateEvent(env, 'late', 5000);
+  const second = await listShopEvents(SHOP, env, { after: first.cursor });
+  assert.deepEqual(webhookIds(second), ['late']);
+  
+  const third = await listShopEvents(SHOP, env, { after: second.cursor });
+  assert.deepEqual(webhookIds(third), []);
+});
+
+test('reads after a cursor only list the recent key range', async () => {
+  const env = createEnv();
+  await putLateEvent(env, 'old', 3600000);
+  await enqueueShopEvent(SHOP, 'products/update', 'recent', {}, env);
+  const { cursor } = await listShopEvents(SHOP, env);
+  
+  const prefixes = [];
+  const list = env.EVENTS.list.bind(env.EVENTS);
+  env.EVENTS.list = options => {
+    prefixes.push(options.prefix);
+    return list(options);
+  };
+  
+  await listShopEvents(SHOP, env, { after: cursor });
+  assert.ok(prefixes.length > 0);
+  assert.ok(prefixes.every(prefix => prefix.length > `event:${SHOP}:`.length));
+});
+
+test('bare event id cursors do not deliver earlier events again', async () => {
+  const env = createEnv();
+  await putLateEvent(env, 'before', 2000);
+  await enqueueShopEvent(SHOP, 'products/update', 'seen', {}, env);
+  const { events } = await listShopEvents(SHOP, env);
+  
+  const page = await listShopEvents(SHOP, env, { after: events[1].id });
+  assert.deepEqual(webhookIds(page), []);
+  assert.ok(page.cursor);
+});
+
+test('invalid cursors are rejected', async () => {
+  await assert.rejects(listShopEvents(SHOP, createEnv(), { after: 'not-a-cursor' }), { name: 'ValidationError' });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createGrant,
+  requestGrantConfirmation,
+  approveGrant,
+  declineGrant,
+  redeemGrant
+} from '../lib/grants.js';
+import { sha256Base64Url } from '../lib/utils.js';
+import { createEnv } from './helpers/env.js';
+
+const SHOP = 'store.myshopify.com';
+const VERIFIER = 'v'.repeat(43);
+
+async function createConfirmingGrant(env) {
+  const grantId = await createGrant(SHOP, await sha256Base64Url(VERIFIER), env);
+  const { token } = await requestGrantConfirmation(grantId, SHOP, env);
+  return { grantId, token };
+}
+
+test('a grant can only be redeemed once the merchant confirmed it', async () => {
+  const env = createEnv();
+  const { grantId, token } = await createConfirmingGrant(env);
+  
+  assert.equal(await redeemGrant(grantId, VERIFIER, SHOP, env), null);
+  assert.equal(await approveGrant(grantId, 'forged-token', env), null);
+  
+  const approved = await approveGrant(grantId, token, env);
+  assert.equal(approved.status, 'approved');
+  assert.equal(await approveGrant(grantId, token, env), null);
+  assert.equal((await redeemGrant(grantId, VERIFIER, SHOP, env)).shop, SHOP);
+});
+
+test('declined grants are dropped', async () => {
+  const env = createEnv();
+  const { grantId, token } = await createConfirmingGrant(env);
+  
+  assert.equal(await declineGrant(grantId, token, env), true);
+  assert.equal(await approveGrant(grantId, token, env), null);
+});
+
+test('online grants need the approving staff member', async () => {
+  const env = createEnv();
+  const grantId = await createGrant(SHOP, await sha256Base64Url(VERIFIER), env, { accessMode: 'online' });
+  
+  assert.equal(await requestGrantConfirmation(grantId, SHOP, env), null);
+  const { grant } = await requestGrantConfirmation(grantId, SHOP, env, { userId: '42' });
+  assert.equal(grant.userId, '42');
+});
@@ -0,0 +1,22 @@
+// In-memory stand-in for a Durable Object namespace
+//
+// Each name maps to one instance of the class, shared by every caller, the way
+// a Durable Object is shared by every isolate.
+export class MemoryDurableObjectNamespace {
+  constructor(ObjectClass) {
+    this.ObjectClass = ObjectClass;
+    this.objects = new Map();
+  }
+  
+  idFromName(name) {
+    return name;
+  }
+  
+  get(id) {
+    if (!this.objects.has(id)) {
+      this.objects.set(id, new this.ObjectClass({ id }, {}));
+    }
+    const object = this.objects.get(id);
+    return { fetch: (input, init) => object.fetch(new Request(input, init)) };
+  }
+}
@@ -0,0 +1,22 @@
+import { ShopRateLimiter } from '../../lib/rate-limit.js';
+import { MemoryKV } from './kv.js';
+import { MemoryDurableObjectNamespace } from './durable-objects.js';
+
+// Worker bindings with empty KV namespaces and Durable Objects
+export function createEnv(vars = {}) {
+  return {
+    SHOPIFY_API_KEY: 'test-api-key',
+    SHOPIFY_API_SECRET: 'test-api-secret',
+    SHOPIFY_API_VERSION: '2025-07',
+    TOKEN_ENCRYPTION_KEY: 'v1:first-secret',
+    APP_URL: 'https://worker.example.com',
+    OAUTH_SCOPES: 'read_orders',
+    SHOPS: new MemoryKV(),
+    AUTH_STATES: new MemoryKV(),
+    API_KEYS: new MemoryKV(),
+    COMPLIANCE: new MemoryKV(),
+    EVENTS: new MemoryKV(),
+    RATE_LIMITER: new MemoryDurableObjectNamespace(ShopRateLimiter),
+    ...vars,
+  };
+}
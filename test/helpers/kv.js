@@ -0,0 +1,67 @@
+// In-memory stand-in for a Workers KV namespace
+//
+// Covers the parts of the KV API the worker uses: json reads, expirations,
+// metadata and paginated prefix listing.
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+  
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiration && entry.expiration * 1000 <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  
+  async get(key, type) {
+    const entry = this.entry(key);
+    if (!entry) return null;
+    const json = type === 'json' || (type && type.type === 'json');
+    return json ? JSON.parse(entry.value) : entry.value;
+  }
+  
+  async getWithMetadata(key, type) {
+    const entry = this.entry(key);
+    return {
+      value: entry ? await this.get(key, type) : null,
+      metadata: entry ? entry.metadata ?? null : null,
+    };
+  }
+  
+  async put(key, value, { expiration, expirationTtl, metadata } = {}) {
+    if (expirationTtl !== undefined && expirationTtl < 60) {
+      throw new Error(`expirationTtl must be at least 60 seconds: ${key}`);
+    }
+    this.entries.set(key, {
+      value: String(value),
+      expiration: expirationTtl ? Math.floor(Date.now() / 1000) + expirationTtl : expiration,
+      metadata,
+    });
+  }
+  
+  async delete(key) {
+    this.entries.delete(key);
+  }
+  
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && this.entry(name))
+      .sort();
+    // Cursors carry the last key listed, so deleting listed keys skips nothing
+    const start = cursor ? names.filter(name => name <= cursor).length : 0;
+    const page = names.slice(start, start + limit);
+    const complete = start + limit >= names.length;
+    
+    return {
+      keys: page.map(name => {
+        const { expiration, metadata } = this.entries.get(name);
+        return { name, expiration, metadata };
+      }),
+      list_complete: complete,
+      cursor: complete ? undefined : page[page.length - 1],
+    };
+  }
+}
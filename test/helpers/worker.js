@@ -0,0 +1,34 @@
+import { createHmac } from 'node:crypto';
+
+import worker from '../../worker.js';
+
+// Send a request through the worker's fetch handler
+export function callWorker(env, path, init) {
+  const request = new Request(`${env.APP_URL}${path}`, init);
+  return worker.fetch(request, env, { waitUntil() {} });
+}
+
+// Add the `hmac` Shopify signs into OAuth redirects
+export function signQuery(params, env) {
+  const message = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  params.set('hmac', createHmac('sha256', env.SHOPIFY_API_SECRET).update(message).digest('hex'));
+  return params;
+}
+
+// Replace global fetch for the duration of a test, recording the URLs requested
+export function mockFetch(t, respond) {
+  const requests = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    requests.push(request.url);
+    return respond(request);
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+  return requests;
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGrant } from '../lib/grants.js';
+import { storeShopData } from '../lib/shopify.js';
+import { sha256Base64Url } from '../lib/utils.js';
+import { createEnv } from './helpers/env.js';
+import { callWorker, signQuery, mockFetch } from './helpers/worker.js';
+
+const SHOP = 'store.myshopify.com';
+const INSTALLED_AT = '2025-01-01T00:00:00.000Z';
+
+// Start /auth for an extension grant and come back through the callback
+async function completeGrantHandshake(env) {
+  const grantId = await createGrant(SHOP, await sha256Base64Url('v'.repeat(43)), env);
+  
+  const start = await callWorker(env, `/auth?shop=${SHOP}&grant=${grantId}`);
+  const state = new URL(start.headers.get('Location')).searchParams.get('state');
+  const cookie = start.headers.get('Set-Cookie').split(';')[0];
+  
+  const params = signQuery(new URLSearchParams({
+    code: 'oauth-code',
+    shop: SHOP,
+    state,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+  }), env);
+  return await callWorker(env, `/auth/callback?${params}`, { headers: { Cookie: cookie } });
+}
+
+async function installShop(env, scope) {
+  await storeShopData(SHOP, { access_token: 'shpat_current', scope }, env, { installedAt: INSTALLED_AT });
+}
+
+test('extension sign-ins leave a current install untouched', async (t) => {
+  const env = createEnv();
+  await installShop(env, 'read_orders');
+  const stored = await env.SHOPS.get(SHOP);
+  const requests = mockFetch(t, () => new Response('unexpected', { status: 500 }));
+  
+  const response = await completeGrantHandshake(env);
+  
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /action="\/auth\/grant"/);
+  assert.deepEqual(requests, []);
+  assert.equal(await env.SHOPS.get(SHOP), stored);
+});
+
+test('scope upgrades store the new token and keep installedAt', async (t) => {
+  const env = createEnv({ OAUTH_SCOPES: 'read_orders,read_products' });
+  await installShop(env, 'read_orders');
+  mockFetch(t, (request) => {
+    if (request.url.endsWith('/admin/oauth/access_token')) {
+      return Response.json({ access_token: 'shpat_upgraded', scope: 'read_orders,read_products' });
+    }
+    return Response.json({ data: { webhookSubscriptions: { nodes: [] } } });
+  });
+  
+  const response = await completeGrantHandshake(env);
+  
+  assert.equal(response.status, 200);
+  const record = await env.SHOPS.get(SHOP, 'json');
+  assert.equal(record.scope, 'read_orders,read_products');
+  assert.equal(record.installedAt, INSTALLED_AT);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { storeOnlineToken, getOnlineToken } from '../lib/online-tokens.js';
+import { migrateShopTokens } from '../lib/shopify.js';
+import { createEnv } from './helpers/env.js';
+
+const SHOP = 'store.myshopify.com';
+const KEY = `online:${SHOP}:42`;
+
+async function storeToken(env) {
+  await storeOnlineToken(SHOP, {
+    access_token: 'shpua_online',
+    scope: 'read_orders',
+    expires_in: 3600,
+    associated_user: { id: 42, email: 'staff@example.com' },
+    associated_user_scope: 'read_orders',
+  }, env);
+  return env.SHOPS.entries.get(KEY).expiration;
+}
+
+function rotateKey(env) {
+  env.TOKEN_ENCRYPTION_KEY = 'v2:second-secret,v1:first-secret';
+}
+
+async function storedKeyVersion(env) {
+  const record = await env.SHOPS.get(KEY, 'json');
+  return record.encryptedAccessToken.kid;
+}
+
+test('migration re-wraps online tokens and keeps their expiration', async () => {
+  const env = createEnv();
+  const expiration = await storeToken(env);
+  assert.ok(expiration);
+  
+  rotateKey(env);
+  const result = await migrateShopTokens(env);
+  
+  assert.equal(result.migrated, 1);
+  assert.equal(await storedKeyVersion(env), 'v2');
+  assert.equal(env.SHOPS.entries.get(KEY).expiration, expiration);
+});
+
+test('reading an online token re-wraps it for the current key version', async () => {
+  const env = createEnv();
+  const expiration = await storeToken(env);
+  
+  rotateKey(env);
+  const token = await getOnlineToken(SHOP, '42', env);
+  
+  assert.equal(token.accessToken, 'shpua_online');
+  assert.equal(await storedKeyVersion(env), 'v2');
+  assert.equal(env.SHOPS.entries.get(KEY).expiration, expiration);
+  
+  // The retired key version is no longer needed
+  env.TOKEN_ENCRYPTION_KEY = 'v2:second-secret';
+  assert.equal((await getOnlineToken(SHOP, '42', env)).accessToken, 'shpua_online');
+});
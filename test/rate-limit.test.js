@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scheduleShopifyRequest } from '../lib/rate-limit.js';
+import { createEnv } from './helpers/env.js';
+
+const SHOP = 'store.myshopify.com';
+
+function response(status, headers = {}) {
+  return { status, headers: new Headers(headers), data: {} };
+}
+
+test('a throttled request gives its reservation back before retrying', async () => {
+  const env = createEnv();
+  const responses = [response(429, { 'Retry-After': '0' }), response(200)];
+  const result = await scheduleShopifyRequest(SHOP, 'rest', env, async () => responses.shift());
+  
+  assert.equal(result.status, 200);
+  assert.equal(result.rateLimitHeaders['RateLimit-Remaining'], '39');
+});
+
+test('isolates share the shop bucket', async () => {
+  const env = createEnv();
+  // A second copy of the module stands in for another isolate
+  const other = await import('../lib/rate-limit.js?isolate=other');
+  
+  await scheduleShopifyRequest(SHOP, 'rest', env, async () => response(200, {
+    'X-Shopify-Shop-Api-Call-Limit': '39/40',
+  }));
+  const result = await other.scheduleShopifyRequest(SHOP, 'rest', env, async () => response(200));
+  
+  assert.equal(result.rateLimitHeaders['RateLimit-Remaining'], '0');
+});
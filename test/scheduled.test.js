@@ -0,0 +1,87 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateShopTokens, reconcileShopWebhooks, pruneOrphanedApiKeys } from '../lib/scheduled.js';
+import { storeShopData } from '../lib/shopify.js';
+import { createApiKey, listApiKeys } from '../lib/api-keys.js';
+import { MAINTENANCE_SHOPS_PER_RUN } from '../lib/constants.js';
+import { createEnv } from './helpers/env.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function mockShopify() {
+  globalThis.fetch = async () => new Response(JSON.stringify({ shop: { id: 1 }, webhooks: [] }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+async function installShops(env, count) {
+  for (let i = 0; i < count; i++) {
+    await storeShopData(`shop-${String(i).padStart(4, '0')}.myshopify.com`, {
+      access_token: `shpat_${i}`,
+      scope: 'read_orders',
+    }, env);
+  }
+}
+
+test('token validation covers a batch of shops per run and resumes', async () => {
+  const env = createEnv();
+  mockShopify();
+  await installShops(env, MAINTENANCE_SHOPS_PER_RUN + 5);
+  
+  const first = await validateShopTokens(env);
+  assert.equal(first.checked, MAINTENANCE_SHOPS_PER_RUN);
+  assert.equal(first.complete, false);
+  
+  const second = await validateShopTokens(env);
+  assert.equal(second.checked, 5);
+  assert.equal(second.complete, true);
+  
+  // Starts over once the end was reached
+  const third = await validateShopTokens(env);
+  assert.equal(third.checked, MAINTENANCE_SHOPS_PER_RUN);
+});
+
+test('webhook reconciliation skips shops removed after they were listed', async () => {
+  const env = createEnv();
+  mockShopify();
+  await installShops(env, 2);
+  
+  // The first shop's record is gone by the time its token is loaded
+  const removed = 'shop-0000.myshopify.com';
+  const get = env.SHOPS.get.bind(env.SHOPS);
+  let reads = 0;
+  env.SHOPS.get = async (key, type) => (key === removed && ++reads > 1 ? null : get(key, type));
+  
+  const stats = await reconcileShopWebhooks(env);
+  assert.equal(stats.scanned, 2);
+  assert.equal(stats.synced, 1);
+  assert.equal(stats.complete, true);
+});
+
+test('orphaned key pruning covers a batch of shops per run and resumes', async () => {
+  const env = createEnv();
+  const shops = Array.from({ length: MAINTENANCE_SHOPS_PER_RUN + 5 }, (_, i) => `orphan-${String(i).padStart(4, '0')}.myshopify.com`);
+  for (const shop of shops) {
+    await createApiKey(shop, env);
+    await createApiKey(shop, env);
+  }
+  
+  const first = await pruneOrphanedApiKeys(env);
+  assert.equal(first.shops, MAINTENANCE_SHOPS_PER_RUN);
+  assert.equal(first.revoked, MAINTENANCE_SHOPS_PER_RUN * 2);
+  assert.equal(first.complete, false);
+  
+  const second = await pruneOrphanedApiKeys(env);
+  assert.equal(second.shops, 5);
+  assert.equal(second.complete, true);
+  
+  for (const shop of shops) {
+    assert.deepEqual(await listApiKeys(shop, env), []);
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApiKey } from '../lib/api-keys.js';
+import { storeShopData } from '../lib/shopify.js';
+import { createEnv } from './helpers/env.js';
+import { callWorker, mockFetch } from './helpers/worker.js';
+
+const SHOP = 'store.myshopify.com';
+
+// A shop whose expiring offline token has already run out
+async function installExpiredShop(env) {
+  await storeShopData(SHOP, {
+    access_token: 'shpat_expired',
+    scope: 'read_orders',
+    expires_in: -60,
+    refresh_token: 'shprt_current',
+    refresh_token_expires_in: 86400,
+  }, env);
+}
+
+function postJson(env, path, body, headers = {}) {
+  return callWorker(env, path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+async function assertRefreshFailure(response) {
+  assert.equal(response.status, 502);
+  assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+  assert.equal((await response.json()).code, 'token_refresh_failed');
+}
+
+test('proxied requests report a failed token refresh as JSON', async (t) => {
+  const env = createEnv();
+  await installExpiredShop(env);
+  const { apiKey } = await createApiKey(SHOP, env);
+  const requests = mockFetch(t, () => new Response('unavailable', { status: 503 }));
+  
+  const response = await postJson(env, '/api/proxy', { endpoint: '/shop.json' }, {
+    Authorization: `Bearer ${apiKey}`,
+  });
+  
+  await assertRefreshFailure(response);
+  assert.deepEqual(requests, [`https://${SHOP}/admin/oauth/access_token`]);
+});
+
+test('extension handshakes report a failed token refresh as JSON', async (t) => {
+  const env = createEnv();
+  await installExpiredShop(env);
+  mockFetch(t, () => new Response('unavailable', { status: 500 }));
+  
+  const response = await postJson(env, '/api/auth', { shop: SHOP, code_challenge: 'c'.repeat(43) });
+  
+  await assertRefreshFailure(response);
+});
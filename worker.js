@@ -5,6 +5,10 @@ import { validateEnvironment } from './lib/validation.js';
 import { getCorsHeaders } from './lib/utils.js';
 import { routeRequest } from './lib/handlers.js';
 import { handleError } from './lib/error-handler.js';
+import { runScheduledJobs } from './lib/scheduled.js';
+
+// Durable Object classes bound in wrangler.toml
+export { ShopRateLimiter } from './lib/rate-limit.js';
 
 // Main Worker Export
 export default {
@@ -30,4 +34,10 @@ export default {
       return handleError(error);
     }
   },
+  
+  // Cron Trigger: periodic maintenance jobs
+  async scheduled(event, env, ctx) {
+    validateEnvironment(env);
+    ctx.waitUntil(runScheduledJobs(env, event));
+  },
 };
\ No newline at end of file